@@ -17,6 +17,7 @@ export default [
         EventTarget: 'readonly',
         URL: 'readonly',
         URLSearchParams: 'readonly',
+        Blob: 'readonly',
         requestAnimationFrame: 'readonly',
         cancelAnimationFrame: 'readonly',
         setTimeout: 'readonly',
@@ -26,6 +27,14 @@ export default [
         AbortController: 'readonly',
         performance: 'readonly',
         fetch: 'readonly',
+        indexedDB: 'readonly',
+        TextDecoder: 'readonly',
+        DataView: 'readonly',
+        Worker: 'readonly',
+        ImageBitmap: 'readonly',
+        self: 'readonly',
+        crypto: 'readonly',
+        atob: 'readonly',
         MutationObserver: 'readonly',
         Node: 'readonly',
         KeyboardEvent: 'readonly',
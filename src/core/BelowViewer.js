@@ -6,6 +6,9 @@ import { Camera } from './Camera.js';
 import { ModelLoader } from '../models/ModelLoader.js';
 import { VRManager } from './VRManager.js';
 import { DebugCommands } from './DebugCommands.js';
+import { PointCloud } from '../models/PointCloud.js';
+import { Georeference } from '../models/Georeference.js';
+import { ModelMetadata } from '../models/ModelMetadata.js';
 
 /**
  * @typedef {Object} BelowViewerConfig
@@ -30,6 +33,27 @@ import { DebugCommands } from './DebugCommands.js';
  * @property {string} [renderer.powerPreference='high-performance'] - GPU preference
  * @property {Object} [vr] - VR configuration
  * @property {boolean} [vr.enabled=true] - Enable VR support
+ * @property {string} [dracoDecoderPath] - Folder containing the Draco decoder files (defaults to the gstatic CDN)
+ * @property {string} [ktx2TranscoderPath] - Folder containing the Basis/KTX2 transcoder files (defaults to the jsDelivr CDN)
+ * @property {Object} [modelCache] - Persistent IndexedDB model cache
+ * @property {boolean} [modelCache.enabled=false] - Keep downloaded models between visits
+ * @property {number} [modelCache.maxSize=2147483648] - Size budget in bytes; least recently used models are evicted first
+ * @property {string} [modelCache.name='belowjs-models'] - IndexedDB database name
+ * @property {Object} [memoryCache] - In-memory cache of parsed models
+ * @property {number} [memoryCache.maxSize=536870912] - Estimated bytes of geometry and textures to keep; least recently used models are disposed first
+ * @property {Object} [pointCloud] - Point cloud display (LAS/LAZ files and PLY files without faces)
+ * @property {number} [pointCloud.size=0.05] - Point size in world units
+ * @property {string} [pointCloud.colorMode='rgb'] - 'rgb', 'height' or 'intensity'; clouds without the data fall back to height
+ * @property {Function} [pointCloud.lazDecoder] - Decompresses LAZ bytes to LAS, `async (ArrayBuffer) => ArrayBuffer` (for example built on laz-perf); none is bundled, so LAZ files fail to load without it
+ * @property {Object} [tiles] - Level-of-detail streaming for 3D Tiles tilesets (tileset.json URLs)
+ * @property {number} [tiles.maxScreenSpaceError=16] - Load finer tiles while a tile's error covers more pixels than this; raise it to stream less
+ * @property {number} [tiles.maxConcurrentRequests=4] - Tiles downloaded at once
+ * @property {number} [tiles.maxMemory=268435456] - Estimated bytes of tile content kept per tileset; least recently seen tiles are disposed first
+ * @property {boolean} [workerParsing=true] - Parse models in a Web Worker so rendering (and the VR loading indicator) stays smooth; falls back to the main thread where a model needs it
+ * @property {Object} [download] - Retrying model and tile downloads
+ * @property {number} [download.retries=2] - Extra attempts after a network failure, stall, damaged download or 408, 429 or 5xx response
+ * @property {number} [download.retryDelay=1000] - Milliseconds before the first retry; doubles after each
+ * @property {number} [download.stallTimeout=30000] - Milliseconds without data before an attempt fails; 0 waits indefinitely
  */
 
 /**
@@ -48,7 +72,8 @@ import { DebugCommands } from './DebugCommands.js';
  * @fires BelowViewer#initialized - Fired when viewer is fully initialized
  * @fires BelowViewer#model-loaded - Fired when a model is loaded successfully
  * @fires BelowViewer#model-load-progress - Fired during model loading
- * @fires BelowViewer#model-load-error - Fired when model loading fails
+ * @fires BelowViewer#model-load-error - Fired when model loading fails, with a ModelLoadError
+ * @fires BelowViewer#tiles-streamed - Fired when a tileset loads or unloads tiles, with the `added` and `removed` content groups
  * @fires BelowViewer#vr-session-start - Fired when VR session begins
  * @fires BelowViewer#vr-session-end - Fired when VR session ends
  * @fires BelowViewer#camera-change - Fired when camera position changes
@@ -145,7 +170,53 @@ export class BelowViewer extends EventSystem {
         }
       },
       audioPath: { type: 'string', default: './sound/' },
-      enableVRAudio: { type: 'boolean', default: false }
+      enableVRAudio: { type: 'boolean', default: false },
+      dracoDecoderPath: { type: 'string', default: null },
+      ktx2TranscoderPath: { type: 'string', default: null },
+      modelCache: {
+        type: 'object',
+        default: { enabled: false },
+        schema: {
+          enabled: { type: 'boolean', default: false },
+          maxSize: { type: 'number', default: 2 * 1024 * 1024 * 1024 },
+          name: { type: 'string', default: 'belowjs-models' }
+        }
+      },
+      memoryCache: {
+        type: 'object',
+        default: { maxSize: 512 * 1024 * 1024 },
+        schema: {
+          maxSize: { type: 'number', default: 512 * 1024 * 1024 }
+        }
+      },
+      pointCloud: {
+        type: 'object',
+        default: { size: 0.05, colorMode: 'rgb' },
+        schema: {
+          size: { type: 'number', default: 0.05 },
+          colorMode: { type: 'string', default: 'rgb' },
+          lazDecoder: { type: 'function', default: null }
+        }
+      },
+      tiles: {
+        type: 'object',
+        default: { maxScreenSpaceError: 16, maxConcurrentRequests: 4, maxMemory: 256 * 1024 * 1024 },
+        schema: {
+          maxScreenSpaceError: { type: 'number', default: 16 },
+          maxConcurrentRequests: { type: 'number', default: 4 },
+          maxMemory: { type: 'number', default: 256 * 1024 * 1024 }
+        }
+      },
+      workerParsing: { type: 'boolean', default: true },
+      download: {
+        type: 'object',
+        default: { retries: 2, retryDelay: 1000, stallTimeout: 30000 },
+        schema: {
+          retries: { type: 'number', default: 2 },
+          retryDelay: { type: 'number', default: 1000 },
+          stallTimeout: { type: 'number', default: 30000 }
+        }
+      }
     };
     
     this.config = new ConfigValidator(schema).validate(config);
@@ -172,7 +243,19 @@ export class BelowViewer extends EventSystem {
       
       this.sceneManager = new Scene(this.config.scene);
       this.cameraManager = new Camera(this.config.camera);
-      this.modelLoader = new ModelLoader(this.renderer);
+      this.modelLoader = new ModelLoader(this.renderer, {
+        dracoDecoderPath: this.config.dracoDecoderPath,
+        ktx2TranscoderPath: this.config.ktx2TranscoderPath,
+        persistentCache: this.config.modelCache.enabled
+          ? { maxSize: this.config.modelCache.maxSize, name: this.config.modelCache.name }
+          : null,
+        memoryBudget: this.config.memoryCache.maxSize,
+        pointCloud: { size: this.config.pointCloud.size, colorMode: this.config.pointCloud.colorMode },
+        lazDecoder: this.config.pointCloud.lazDecoder,
+        tiles: { ...this.config.tiles },
+        workerParsing: this.config.workerParsing,
+        download: { ...this.config.download }
+      });
       
       if (this.isVREnabled) {
         this.initVR();
@@ -324,16 +407,30 @@ export class BelowViewer extends EventSystem {
    * 
    * @async
    * @method loadModel
-   * @param {string} url - Path to the GLB model file
+   * @param {string} url - Path to the model file (GLB/glTF, PLY, OBJ, STL, LAS/LAZ, or a 3D Tiles tileset.json)
    * @param {Object} [options={}] - Loading options
    * @param {AbortSignal} [options.signal] - AbortSignal for cancelling the load
    * @param {Function} [options.onProgress] - Progress callback function
    * @param {Object} [options.initialPositions] - Camera positions for this model
+   * @param {string} [options.version] - Model version for the persistent cache; defaults to the server's ETag
+   * @param {number[]} [options.position] - Where to place the model [x, y, z]
+   * @param {number[]} [options.rotation] - Euler rotation in radians [x, y, z]
+   * @param {number|number[]} [options.scale] - Uniform scale or [x, y, z]
+   * @param {boolean} [options.center=true] - Centre the model's bounds on `position` (or the origin);
+   *   false keeps the file's own coordinates, so models sharing a frame line up
+   * @param {boolean} [options.autoFrame=true] - Frame the camera on the model if it is the first one loaded
+   * @param {Object} [options.georeference] - Grid `offset` [east, north, up] and `epsg` code, overriding any in the file (see Georeference)
+   * @param {Object} [options.metadata] - Site, survey date, depth, photographer, licence and attribution,
+   *   overriding any in the file's glTF `asset.extras`; kept on the model's `userData.metadata` (see ModelMetadata)
+   * @param {string} [options.integrity] - Expected SHA-256 of the file, as 'sha256-<base64>' or 64 hex digits;
+   *   a file that does not match is downloaded again and then rejected
+   * @param {{index: number, count: number}} [options.part] - Position within a `loadModels` call, reported on progress events
    * @returns {Promise<THREE.Object3D>} Promise that resolves to the loaded model
    * 
    * @fires BelowViewer#model-loaded - When model loads successfully
    * @fires BelowViewer#model-load-progress - During loading progress
-   * @fires BelowViewer#model-load-error - When loading fails
+   * @fires BelowViewer#tiles-streamed - After a tileset has loaded, at most once a frame while its tiles change
+   * @fires BelowViewer#model-load-error - When loading fails, with a ModelLoadError whose `code` says why
    * 
    * @example
    * // Load a model with progress tracking
@@ -365,19 +462,33 @@ export class BelowViewer extends EventSystem {
       
       const onProgress = (progress) => {
         if (!signal.aborted) {
-          this.emit('model-load-progress', { url, progress });
+          this.emit('model-load-progress', { url, progress, ...(options.part && { part: options.part }) });
         }
       };
       
-      const model = await this.modelLoader.load(url, onProgress, signal);
+      const model = await this.modelLoader.load(url, onProgress, signal, {
+        version: options.version || null,
+        georeference: options.georeference || null,
+        metadata: options.metadata || null,
+        integrity: options.integrity || null
+      });
       
       if (signal.aborted) {
+        if (model.isTiledModel) model.dispose();
+        this.modelLoader.release(url, model);
         return null;
       }
-      
-      if (options.position) {
-        model.position.fromArray(options.position);
+
+      if (model.isTiledModel) {
+        model.addEventListener('contentchange', ({ added, removed }) => {
+          this.emit('tiles-streamed', { url, model, added, removed, stats: model.getStats() });
+        });
       }
+      
+      // Clones of a cached model carry the placement of the first copy
+      model.position.set(0, 0, 0);
+      model.rotation.set(0, 0, 0);
+      model.scale.set(1, 1, 1);
       if (options.rotation) {
         model.rotation.fromArray(options.rotation);
       }
@@ -388,10 +499,19 @@ export class BelowViewer extends EventSystem {
           model.scale.fromArray(options.scale);
         }
       }
-      
 
-      const originalCenter = this.centerModelAndRecalculateBounds(model);
-      
+      model.userData.boundingBox = new THREE.Box3().setFromObject(model);
+
+      let originalCenter = null;
+      if (options.center !== false) {
+        originalCenter = this.centerModelAndRecalculateBounds(model);
+      }
+      if (options.position) {
+        model.position.add(new THREE.Vector3().fromArray(options.position));
+      }
+      model.updateMatrixWorld(true);
+      model.userData.boundingBox = new THREE.Box3().setFromObject(model);
+
       this.sceneManager.add(model);
       this.loadedModels.push({ model, url, options, originalCenter });
       
@@ -425,6 +545,105 @@ export class BelowViewer extends EventSystem {
     }
   }
 
+  /**
+   * Load several models into one scene
+   *
+   * Builds a composite scene, such as a wreck with its anchor, a debris field
+   * and the surrounding seabed. Every entry is placed with its own position,
+   * rotation and scale in a shared coordinate frame, keeping the coordinates
+   * stored in its file. By default the whole scene is then moved so its
+   * combined bounds centre on the origin; pass `center: false` to keep the
+   * shared frame as it is (for example a georeferenced survey). Metadata
+   * fields on an entry, or in its `metadata` object, override the file's
+   * (see `ModelMetadata.fromConfig`). Models load
+   * one after another; if one fails or the load is cancelled, the models
+   * already added by this call are removed again.
+   *
+   * @async
+   * @method loadModels
+   * @param {Array<{url: string, position?: number[], rotation?: number[], scale?: number|number[], version?: string}>} entries - Models to load
+   * @param {Object} [options={}] - Loading options
+   * @param {boolean} [options.center=true] - Centre the combined bounds on the origin
+   * @param {boolean} [options.autoFrame=true] - Frame the camera on the whole scene
+   * @returns {Promise<THREE.Object3D[]|null>} The loaded models in entry order, or null if cancelled
+   *
+   * @fires BelowViewer#model-loaded - Once per model
+   * @fires BelowViewer#model-load-progress - With `part: { index, count }` saying which model is loading
+   *
+   * @example
+   * const [wreck, anchor] = await viewer.loadModels([
+   *   { url: 'models/wreck.glb' },
+   *   { url: 'models/anchor.glb', position: [12, -1.5, 4], rotation: [0, Math.PI / 3, 0] },
+   *   { url: 'models/seabed.ply', scale: 0.5 }
+   * ], { center: false });
+   *
+   * @since 1.1.0
+   */
+  async loadModels(entries, { center = true, autoFrame = true } = {}) {
+    const models = [];
+    const removeLoaded = () => models.forEach(model => this.removeModel(model));
+    for (let index = 0; index < entries.length; index++) {
+      let model;
+      try {
+        model = await this.loadModel(entries[index].url, {
+          ...entries[index],
+          metadata: ModelMetadata.fromConfig(entries[index]),
+          center: false,
+          autoFrame: false,
+          part: { index, count: entries.length }
+        });
+      } catch (error) {
+        removeLoaded();
+        throw error;
+      }
+      if (!model) {
+        removeLoaded();
+        return null;
+      }
+      models.push(model);
+    }
+
+    const bounds = new THREE.Box3();
+    models.forEach(model => bounds.union(model.userData.boundingBox));
+    if (center && !bounds.isEmpty()) {
+      const offset = bounds.getCenter(new THREE.Vector3()).negate();
+      models.forEach(model => {
+        model.position.add(offset);
+        model.updateMatrixWorld(true);
+        model.userData.boundingBox.translate(offset);
+      });
+      bounds.translate(offset);
+    }
+
+    if (autoFrame && !bounds.isEmpty()) {
+      this.cameraManager.frameObject(bounds.getCenter(new THREE.Vector3()), bounds.getSize(new THREE.Vector3()).length());
+    }
+    return models;
+  }
+
+  /**
+   * Convert a scene position to real-world grid coordinates
+   *
+   * Uses the first loaded model with a georeference, read from glTF
+   * `asset.extras`, a LAS header or the `georeference` load option. The
+   * result is independent of how the model was centred or placed.
+   *
+   * @method getGridCoordinates
+   * @param {THREE.Vector3} point - Position in scene coordinates
+   * @returns {{east: number, north: number, up: number, epsg: string|null}|null}
+   *   Easting, northing and elevation, or null if no loaded model is georeferenced
+   *
+   * @example
+   * const grid = viewer.getGridCoordinates(viewer.cameraManager.controls.target);
+   * if (grid) console.log(grid.east, grid.north, grid.up, grid.epsg);
+   *
+   * @since 1.1.0
+   */
+  getGridCoordinates(point) {
+    const model = Georeference.findModel(this.loadedModels.map(({ model }) => model));
+    return model ? Georeference.worldToGrid(model, point) : null;
+  }
+
   frameModel(model) {
     if (!model.userData.boundingBox) {
       const box = new THREE.Box3().setFromObject(model);
@@ -463,6 +682,19 @@ export class BelowViewer extends EventSystem {
     return center; // Return the original center offset for reference
   }
 
+  /**
+   * Stream tiles for the current camera in every loaded tileset
+   * 
+   * @returns {void}
+   */
+  updateTiledModels() {
+    if (!this.renderer || !this.cameraManager) return;
+    const camera = this.isVRPresenting() ? this.renderer.xr.getCamera() : this.cameraManager.camera;
+    this.loadedModels.forEach(({ model }) => {
+      if (model.isTiledModel) model.update(camera, this.renderer);
+    });
+  }
+
   startRenderLoop() {
     let lastTime = 0;
     
@@ -478,6 +710,8 @@ export class BelowViewer extends EventSystem {
       if (this.cameraManager) {
         this.cameraManager.update();
       }
+
+      this.updateTiledModels();
       
 
       this.emit('before-render', deltaTime);
@@ -574,46 +808,47 @@ export class BelowViewer extends EventSystem {
     const index = this.loadedModels.findIndex(item => item.model === model);
     if (index >= 0) {
       this.sceneManager.remove(model);
-      this.loadedModels.splice(index, 1);
+      if (model.isTiledModel) model.dispose();
+      const [{ url }] = this.loadedModels.splice(index, 1);
+      this.modelLoader.release(url, model);
       this.emit('model-removed', { model });
     }
   }
 
   clearModels() {
-    this.loadedModels.forEach(({ model }) => {
-
-      model.traverse((child) => {
-        if (child.isMesh) {
-          if (child.geometry) {
-            child.geometry.dispose();
-          }
-          if (child.material) {
-            if (Array.isArray(child.material)) {
-              child.material.forEach(mat => {
-                if (mat.map) mat.map.dispose();
-                if (mat.normalMap) mat.normalMap.dispose();
-                if (mat.roughnessMap) mat.roughnessMap.dispose();
-                if (mat.metalnessMap) mat.metalnessMap.dispose();
-                mat.dispose();
-              });
-            } else {
-              if (child.material.map) child.material.map.dispose();
-              if (child.material.normalMap) child.material.normalMap.dispose();
-              if (child.material.roughnessMap) child.material.roughnessMap.dispose();
-              if (child.material.metalnessMap) child.material.metalnessMap.dispose();
-              child.material.dispose();
-            }
-          }
-        }
-      });
-      
+    this.loadedModels.forEach(({ model, url }) => {
+      // Geometry, materials and textures belong to the loader's cache, which
+      // disposes them once no loaded model uses them
+      if (model.isTiledModel) model.dispose();
       this.sceneManager.remove(model);
+      this.modelLoader.release(url, model);
     });
     
     this.loadedModels.length = 0;
     this.emit('models-cleared');
   }
 
+  /**
+   * Clear cached model downloads
+   *
+   * Empties the in-memory cache and, when `modelCache` is enabled, the
+   * persistent IndexedDB cache. Loaded models stay in the scene.
+   *
+   * @async
+   * @method clearCache
+   * @returns {Promise<void>} Resolves once the caches are empty
+   *
+   * @example
+   * await viewer.clearCache();
+   *
+   * @since 1.1.0
+   */
+  async clearCache() {
+    if (this.modelLoader) {
+      await this.modelLoader.clearCache();
+    }
+  }
+
   /**
    * Clean up and dispose of all resources
    * 
@@ -797,6 +1032,61 @@ export class BelowViewer extends EventSystem {
     }
   }
 
+  /**
+   * Set the point size of loaded and future point clouds
+   * 
+   * @method setPointSize
+   * @param {number} size - Point size in world units
+   * @returns {void}
+   * 
+   * @example
+   * viewer.setPointSize(0.02);
+   * 
+   * @since 1.1.0
+   */
+  setPointSize(size) {
+    this.config.pointCloud.size = size;
+    this.modelLoader.setPointCloudOptions({ size });
+    this.getPointClouds().forEach(points => PointCloud.setPointSize(points, size));
+  }
+
+  /**
+   * Colour loaded and future point clouds by RGB, height or intensity
+   * 
+   * Clouds without recorded colours or intensities are coloured by height.
+   * 
+   * @method setPointColorMode
+   * @param {string} mode - 'rgb', 'height' or 'intensity'
+   * @returns {void}
+   * 
+   * @example
+   * viewer.setPointColorMode('intensity');
+   * 
+   * @since 1.1.0
+   */
+  setPointColorMode(mode) {
+    this.config.pointCloud.colorMode = mode;
+    this.modelLoader.setPointCloudOptions({ colorMode: mode });
+    this.getPointClouds().forEach(points => PointCloud.setColorMode(points, mode));
+  }
+
+  /**
+   * Get the point clouds in the loaded models
+   * 
+   * @method getPointClouds
+   * @returns {THREE.Points[]} Point clouds, flagged with `userData.isPointCloud`
+   * 
+   * @since 1.1.0
+   */
+  getPointClouds() {
+    const clouds = [];
+    this.loadedModels.forEach(({ model }) => {
+      model.traverse(child => {
+        if (child.userData.isPointCloud) clouds.push(child);
+      });
+    });
+    return clouds;
+  }
 
   applyInitialPositions(positions) {
     if (!positions) return;
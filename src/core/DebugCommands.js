@@ -11,6 +11,7 @@
  * camera()  // Get current camera position data
  * scene()   // Get scene information
  * models()  // Get loaded models info
+ * cache()   // Get model cache usage
  * 
  * @since 1.0.0
  */
@@ -70,6 +71,19 @@ export class DebugCommands {
       console.log('🎥 Current camera positions:');
       console.log('📋 Copy this for initialPositions config:');
       console.log(JSON.stringify(positionData, null, 2));
+
+      const cameraGrid = viewer.getGridCoordinates ? viewer.getGridCoordinates(cameraPos) : null;
+      if (cameraGrid) {
+        const targetGrid = viewer.getGridCoordinates(targetPos);
+        const round = grid => ({
+          east: parseFloat(grid.east.toFixed(3)),
+          north: parseFloat(grid.north.toFixed(3)),
+          up: parseFloat(grid.up.toFixed(3))
+        });
+        console.log(`🌐 Real-world coordinates${cameraGrid.epsg ? ` (${cameraGrid.epsg})` : ''}:`);
+        console.table({ camera: round(cameraGrid), target: round(targetGrid) });
+        return { ...positionData, realWorld: { camera: round(cameraGrid), target: round(targetGrid), epsg: cameraGrid.epsg } };
+      }
       
       return positionData;
     };
@@ -148,7 +162,10 @@ export class DebugCommands {
             }
           } : null,
           visible: model.visible,
-          children: model.children.length
+          children: model.children.length,
+          georeference: model.userData.georeference
+            ? `${model.userData.georeference.offset.join(', ')}${model.userData.georeference.epsg ? ` ${model.userData.georeference.epsg}` : ''}`
+            : null
         };
       });
       
@@ -158,6 +175,24 @@ export class DebugCommands {
       return { models: modelInfo, rawData: loadedModels };
     };
     
+    window.cache = () => {
+      if (!viewer.modelLoader) {
+        console.warn('Model loader not initialized');
+        return null;
+      }
+
+      const stats = viewer.modelLoader.getCacheStats();
+      const toMB = bytes => parseFloat((bytes / (1024 * 1024)).toFixed(1));
+
+      console.log(`🗄️ Model cache: ${stats.entries} models, ${toMB(stats.bytes)} MB of ${toMB(stats.memoryBudget)} MB`);
+      console.log(`   hits: ${stats.hits}, misses: ${stats.misses}, evictions: ${stats.evictions}`);
+      if (stats.models.length > 0) {
+        console.table(stats.models.map(model => ({ url: model.url, MB: toMB(model.bytes), inUse: model.users })));
+      }
+
+      return stats;
+    };
+
     window.vr = () => {
       if (!viewer.vrManager) {
         console.log('🥽 VR not enabled');
@@ -223,9 +258,10 @@ export class DebugCommands {
     
     window.debugHelp = () => {
       console.log('🔧 BelowJS Debug Commands:');
-      console.log('  camera()    - Get current camera position data');
+      console.log('  camera()    - Get current camera position data (and real-world coordinates for georeferenced models)');
       console.log('  scene()     - Get scene information and object counts');
       console.log('  models()    - Get loaded models information');
+      console.log('  cache()     - Get model cache usage and evictions');
       console.log('  particles() - Get particle system information');
       console.log('  vr()        - Get VR state and settings');
       console.log('  debugHelp() - Show this help message');
@@ -244,6 +280,7 @@ export class DebugCommands {
     delete window.camera;
     delete window.scene;
     delete window.models;
+    delete window.cache;
     delete window.particles;
     delete window.vr;
     delete window.debugHelp;
@@ -61,6 +61,11 @@ export { VRManager } from './core/VRManager.js';
 export { Scene } from './core/Scene.js';
 export { Camera } from './core/Camera.js';
 export { ModelLoader } from './models/ModelLoader.js';
+export { ModelLoadError } from './models/ModelLoadError.js';
+export { PointCloud } from './models/PointCloud.js';
+export { TiledModel } from './models/TiledModel.js';
+export { Georeference } from './models/Georeference.js';
+export { ModelMetadata } from './models/ModelMetadata.js';
 export { EventSystem } from './utils/EventSystem.js';
 export { ConfigValidator } from './utils/ConfigValidator.js';
 
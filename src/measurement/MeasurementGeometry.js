@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+
+/**
+ * MeasurementGeometry - Pure geometry helpers for MeasurementSystem
+ *
+ * Stateless calculations on arrays of THREE.Vector3 points in world space.
+ * The scene uses a Y-up convention, so "plan" values are measured in the
+ * horizontal XZ plane.
+ *
+ * @class MeasurementGeometry
+ * @since 1.1.0
+ */
+export class MeasurementGeometry {
+  /**
+   * Area of a closed polygon projected onto the horizontal (XZ) plane
+   *
+   * @param {THREE.Vector3[]} points - Polygon vertices in order, not repeated at the end
+   * @returns {number} Plan area in square metres
+   */
+  static planArea(points) {
+    if (points.length < 3) return 0;
+    let sum = 0;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      sum += a.x * b.z - b.x * a.z;
+    }
+    return Math.abs(sum) / 2;
+  }
+
+  /**
+   * Area of a closed polygon on its best-fit plane
+   *
+   * Uses the polygon's vector area: exact for planar outlines, and the area
+   * projected onto the best-fit plane for warped ones. It is not the area of
+   * the surface under the outline, which is larger wherever that surface is
+   * rough.
+   *
+   * @param {THREE.Vector3[]} points - Polygon vertices in order, not repeated at the end
+   * @returns {number} Area in square metres
+   */
+  static bestFitArea(points) {
+    if (points.length < 3) return 0;
+    const origin = points[0];
+    const total = new THREE.Vector3();
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    for (let i = 1; i < points.length - 1; i++) {
+      a.subVectors(points[i], origin);
+      b.subVectors(points[i + 1], origin);
+      total.add(a.cross(b));
+    }
+    return total.length() / 2;
+  }
+
+  /**
+   * Average of a set of points
+   *
+   * @param {THREE.Vector3[]} points - Points to average
+   * @returns {THREE.Vector3} Centroid (origin if no points given)
+   */
+  static centroid(points) {
+    const center = new THREE.Vector3();
+    if (points.length === 0) return center;
+    points.forEach(point => center.add(point));
+    return center.divideScalar(points.length);
+  }
+
+  /**
+   * Interior angle at a vertex between two arms
+   *
+   * @param {THREE.Vector3} a - End of the first arm
+   * @param {THREE.Vector3} vertex - Vertex the angle is measured at
+   * @param {THREE.Vector3} b - End of the second arm
+   * @returns {number} Angle in degrees, between 0 and 180
+   */
+  static angleAt(a, vertex, b) {
+    const armA = new THREE.Vector3().subVectors(a, vertex);
+    const armB = new THREE.Vector3().subVectors(b, vertex);
+    if (armA.lengthSq() === 0 || armB.lengthSq() === 0) return 0;
+    return THREE.MathUtils.radToDeg(armA.angleTo(armB));
+  }
+
+  /**
+   * Horizontal bearing and inclination of a segment
+   *
+   * Bearings are measured clockwise from the model's north, taken as -Z with
+   * +X as east. Inclination is positive when the segment rises towards `to`.
+   *
+   * @param {THREE.Vector3} from - Start of the segment
+   * @param {THREE.Vector3} to - End of the segment
+   * @returns {{bearing: number, inclination: number}} Angles in degrees;
+   *   bearing in [0, 360), inclination in [-90, 90]
+   */
+  static bearing(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dz = to.z - from.z;
+    const horizontal = Math.sqrt(dx * dx + dz * dz);
+    let bearing = THREE.MathUtils.radToDeg(Math.atan2(dx, -dz));
+    if (bearing < 0) bearing += 360;
+    const inclination = THREE.MathUtils.radToDeg(Math.atan2(dy, horizontal));
+    return { bearing: horizontal === 0 ? 0 : bearing, inclination };
+  }
+
+  /**
+   * Least-squares plane through a set of points, as height over the plan
+   *
+   * Fits y = a·x + b·z + c. Falls back to a horizontal plane at the mean
+   * height when the points are collinear in plan.
+   *
+   * @param {THREE.Vector3[]} points - Points to fit
+   * @returns {{a: number, b: number, c: number}} Plane coefficients
+   */
+  static fitPlane(points) {
+    const center = MeasurementGeometry.centroid(points);
+    let xx = 0, xz = 0, zz = 0, xy = 0, zy = 0;
+    points.forEach(point => {
+      const x = point.x - center.x;
+      const y = point.y - center.y;
+      const z = point.z - center.z;
+      xx += x * x;
+      xz += x * z;
+      zz += z * z;
+      xy += x * y;
+      zy += z * y;
+    });
+    const determinant = xx * zz - xz * xz;
+    if (Math.abs(determinant) < 1e-12) {
+      return { a: 0, b: 0, c: center.y };
+    }
+    const a = (xy * zz - zy * xz) / determinant;
+    const b = (zy * xx - xy * xz) / determinant;
+    return { a, b, c: center.y - a * center.x - b * center.z };
+  }
+
+  /**
+   * Whether a plan position lies inside a polygon projected onto the XZ plane
+   *
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @param {THREE.Vector3[]} points - Polygon vertices in order, not repeated at the end
+   * @returns {boolean} True if the position is inside the polygon
+   */
+  static containsPlanPoint(x, z, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if ((a.z > z) !== (b.z > z) && x < ((b.x - a.x) * (z - a.z)) / (b.z - a.z) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Horizontal and vertical components of a segment
+   *
+   * @param {THREE.Vector3} from - Start of the segment
+   * @param {THREE.Vector3} to - End of the segment
+   * @returns {{horizontal: number, vertical: number, slope: number|null}}
+   *   Horizontal distance and signed vertical change (positive when `to` is
+   *   higher) in metres, and slope as a percentage (null for a vertical segment)
+   */
+  static heightDifference(from, to) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const horizontal = Math.sqrt(dx * dx + dz * dz);
+    const vertical = to.y - from.y;
+    return {
+      horizontal,
+      vertical,
+      slope: horizontal === 0 ? null : (vertical / horizontal) * 100
+    };
+  }
+}
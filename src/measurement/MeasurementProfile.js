@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+
+/**
+ * MeasurementProfile - Elevation profiles along a measured line
+ *
+ * Samples a mesh along the vertical plane through two points by casting
+ * rays straight down at evenly spaced stations, and renders the result as
+ * a simple SVG chart. Works in world space with the scene's Y-up convention.
+ *
+ * @class MeasurementProfile
+ * @since 1.1.0
+ */
+export class MeasurementProfile {
+  /**
+   * Sample the highest surface under evenly spaced stations between two points
+   *
+   * @param {THREE.Vector3} from - Start of the profile line
+   * @param {THREE.Vector3} to - End of the profile line
+   * @param {THREE.Object3D[]} meshes - Meshes to sample
+   * @param {Object} [options={}] - Sampling options
+   * @param {number} [options.samples=100] - Number of stations, including both ends
+   * @param {number} [options.threshold=0] - How far from a station a point-cloud point may be and still count, in world units
+   * @returns {{distance: number, height: number|null, point: THREE.Vector3|null}[]}
+   *   Horizontal distance from `from` and world height of the surface at each
+   *   station (null where the ray misses the mesh), in world units
+   */
+  static sample(from, to, meshes, { samples = 100, threshold = 0 } = {}) {
+    const count = Math.max(2, Math.floor(samples));
+    const bounds = new THREE.Box3();
+    meshes.forEach(mesh => bounds.expandByObject(mesh));
+    if (bounds.isEmpty()) return [];
+
+    const horizontal = Math.hypot(to.x - from.x, to.z - from.z);
+    // Start the rays just above the highest point of the meshes
+    const top = bounds.max.y + 1;
+    const raycaster = new THREE.Raycaster();
+    raycaster.params.Points.threshold = threshold;
+    const down = new THREE.Vector3(0, -1, 0);
+    const origin = new THREE.Vector3();
+    const profile = [];
+
+    for (let i = 0; i < count; i++) {
+      const t = i / (count - 1);
+      origin.set(
+        THREE.MathUtils.lerp(from.x, to.x, t),
+        top,
+        THREE.MathUtils.lerp(from.z, to.z, t)
+      );
+      raycaster.set(origin, down);
+      const hit = raycaster.intersectObjects(meshes, false)[0];
+      profile.push({
+        distance: horizontal * t,
+        height: hit ? hit.point.y : null,
+        point: hit ? hit.point.clone() : null
+      });
+    }
+    return profile;
+  }
+
+  /**
+   * Render a profile as an SVG line chart
+   *
+   * Gaps in the profile (null heights) break the line. Axis labels are
+   * produced by the supplied formatter so they follow the caller's units.
+   *
+   * @param {{distance: number, height: number|null}[]} profile - Profile to draw
+   * @param {Object} [options={}] - Chart options
+   * @param {number} [options.width=480] - Chart width in pixels
+   * @param {number} [options.height=160] - Chart height in pixels
+   * @param {Function} [options.formatLength] - Formats a length for axis labels
+   * @param {string} [options.color='#60a5fa'] - Line colour
+   * @returns {string} Standalone SVG markup
+   */
+  static toSVG(profile, { width = 480, height = 160, formatLength = value => `${value.toFixed(2)}m`, color = '#60a5fa' } = {}) {
+    const padding = { top: 12, right: 12, bottom: 24, left: 56 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const heights = profile.filter(sample => sample.height !== null).map(sample => sample.height);
+    const maxDistance = profile.length > 0 ? profile[profile.length - 1].distance : 0;
+    const minHeight = heights.length > 0 ? Math.min(...heights) : 0;
+    const maxHeight = heights.length > 0 ? Math.max(...heights) : 0;
+    const heightRange = maxHeight - minHeight || 1;
+    const x = distance => padding.left + (maxDistance > 0 ? (distance / maxDistance) * plotWidth : 0);
+    const y = value => padding.top + (1 - (value - minHeight) / heightRange) * plotHeight;
+
+    const paths = [];
+    let current = '';
+    profile.forEach(sample => {
+      if (sample.height === null) {
+        if (current) paths.push(current);
+        current = '';
+        return;
+      }
+      current += `${current ? 'L' : 'M'}${x(sample.distance).toFixed(1)},${y(sample.height).toFixed(1)}`;
+    });
+    if (current) paths.push(current);
+
+    const bottom = padding.top + plotHeight;
+    const right = padding.left + plotWidth;
+    const text = (tx, ty, anchor, content) =>
+      `<text x="${tx}" y="${ty}" text-anchor="${anchor}" font-size="10" fill="currentColor">${content}</text>`;
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`,
+      `<path d="M${padding.left},${padding.top}V${bottom}H${right}" fill="none" stroke="currentColor" stroke-opacity="0.4"/>`,
+      ...paths.map(d => `<path d="${d}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>`),
+      text(padding.left - 4, padding.top + 4, 'end', formatLength(maxHeight)),
+      text(padding.left - 4, bottom, 'end', formatLength(minHeight)),
+      text(padding.left, bottom + 14, 'start', formatLength(0)),
+      text(right, bottom + 14, 'end', formatLength(maxDistance)),
+      '</svg>'
+    ].join('');
+  }
+}
@@ -0,0 +1,281 @@
+import * as THREE from 'three';
+
+// Grid resolution along the longest side of a geometry's bounding box
+const GRID_CELLS = 128;
+
+/**
+ * MeasurementSnapper - Finds snap targets for measurement points
+ *
+ * Snaps a point to the nearest mesh vertex or the nearest high-curvature edge
+ * (edges whose adjacent faces meet at more than `edgeAngle` degrees). Each
+ * geometry gets a uniform grid of its vertices and feature edges, built in
+ * idle time after `prepare` or the first time a query comes near it, and
+ * cached for the lifetime of the geometry.
+ *
+ * @class MeasurementSnapper
+ * @since 1.1.0
+ */
+export class MeasurementSnapper {
+  /**
+   * @param {Object} [options={}] - Snapper options
+   * @param {number} [options.edgeAngle=30] - Minimum angle in degrees between faces for an edge to count as a feature edge
+   */
+  constructor({ edgeAngle = 30 } = {}) {
+    this.edgeAngle = edgeAngle;
+    this._indices = new WeakMap();
+    this._pending = new Set();
+    this._idleHandle = null;
+    this._local = new THREE.Vector3();
+    this._candidate = new THREE.Vector3();
+    this._segment = new THREE.Line3();
+  }
+
+  /**
+   * Find the nearest vertex or feature edge point within a radius
+   *
+   * @param {THREE.Vector3} point - World-space point to snap
+   * @param {THREE.Mesh[]} meshes - Meshes to snap to
+   * @param {number} radius - Search radius in world units
+   * @returns {{point: THREE.Vector3, type: string, object: THREE.Mesh, distance: number}|null}
+   *   World-space snap point, 'vertex' or 'edge', the mesh it belongs to and
+   *   its distance from `point`, or null if nothing is within the radius
+   */
+  snap(point, meshes, radius) {
+    let best = null;
+    for (const mesh of meshes) {
+      if (!mesh || !mesh.isMesh || !mesh.geometry || !mesh.geometry.attributes.position) continue;
+      if (!mesh.geometry.boundingSphere) {
+        mesh.geometry.computeBoundingSphere();
+      }
+      const sphere = mesh.geometry.boundingSphere.clone().applyMatrix4(mesh.matrixWorld);
+      if (sphere.distanceToPoint(point) > radius) continue;
+
+      const result = this._snapToMesh(mesh, point, best ? best.distance : radius);
+      if (result) best = result;
+    }
+    return best;
+  }
+
+  /**
+   * Build the snapping grids for meshes ahead of time
+   *
+   * Grids are built one geometry at a time while the browser is idle, so
+   * loading a large model does not stall a frame. Meshes queried before
+   * their turn are built on demand. Replaces any meshes still queued from
+   * an earlier call.
+   *
+   * @param {THREE.Mesh[]} meshes - Meshes that will be snapped to
+   * @returns {void}
+   */
+  prepare(meshes) {
+    this._pending = new Set();
+    meshes.forEach(mesh => {
+      if (mesh && mesh.isMesh && mesh.geometry && !this._indices.has(mesh.geometry)) {
+        this._pending.add(mesh.geometry);
+      }
+    });
+    this._scheduleIdleBuild();
+  }
+
+  /**
+   * Drop cached grids, e.g. after geometry has been edited in place
+   *
+   * Also cancels grids still queued by `prepare`.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this._indices = new WeakMap();
+    this._pending.clear();
+    if (this._idleHandle !== null) {
+      if (typeof window !== 'undefined' && window.cancelIdleCallback) {
+        window.cancelIdleCallback(this._idleHandle);
+      } else {
+        clearTimeout(this._idleHandle);
+      }
+      this._idleHandle = null;
+    }
+  }
+
+  _scheduleIdleBuild() {
+    if (this._idleHandle !== null || this._pending.size === 0) return;
+    const build = deadline => {
+      this._idleHandle = null;
+      for (const geometry of this._pending) {
+        this._pending.delete(geometry);
+        this._getIndex(geometry);
+        // Without idle deadlines (e.g. Safari) build one geometry per timeout
+        if (!deadline || deadline.timeRemaining() <= 0) break;
+      }
+      this._scheduleIdleBuild();
+    };
+    this._idleHandle = typeof window !== 'undefined' && window.requestIdleCallback
+      ? window.requestIdleCallback(build, { timeout: 1000 })
+      : setTimeout(() => build(null), 0);
+  }
+
+  _snapToMesh(mesh, point, maxDistance) {
+    const index = this._getIndex(mesh.geometry);
+    if (!index) return null;
+
+    const scale = mesh.matrixWorld.getMaxScaleOnAxis() || 1;
+    const radius = maxDistance / scale;
+    const local = mesh.worldToLocal(this._local.copy(point));
+
+    const min = this._cellCoords(index, local.x - radius, local.y - radius, local.z - radius);
+    const max = this._cellCoords(index, local.x + radius, local.y + radius, local.z + radius);
+    const cellCount = (max[0] - min[0] + 1) * (max[1] - min[1] + 1) * (max[2] - min[2] + 1);
+
+    const position = mesh.geometry.attributes.position;
+    let bestDistanceSq = radius * radius;
+    let bestType = null;
+    const bestPoint = new THREE.Vector3();
+    const checkedEdges = new Set();
+
+    const visitCell = key => {
+      const vertices = index.vertexCells.get(key);
+      if (vertices) {
+        for (const vertex of vertices) {
+          this._candidate.fromBufferAttribute(position, vertex);
+          const distanceSq = this._candidate.distanceToSquared(local);
+          // Vertices win ties so corners are preferred over the edges that meet there
+          if (distanceSq < bestDistanceSq || (distanceSq === bestDistanceSq && bestType === 'edge')) {
+            bestDistanceSq = distanceSq;
+            bestType = 'vertex';
+            bestPoint.copy(this._candidate);
+          }
+        }
+      }
+
+      const edges = index.edgeCells.get(key);
+      if (edges) {
+        for (const edge of edges) {
+          if (checkedEdges.has(edge)) continue;
+          checkedEdges.add(edge);
+          const offset = edge * 6;
+          this._segment.start.fromArray(index.edges, offset);
+          this._segment.end.fromArray(index.edges, offset + 3);
+          this._segment.closestPointToPoint(local, true, this._candidate);
+          const distanceSq = this._candidate.distanceToSquared(local);
+          if (distanceSq < bestDistanceSq) {
+            bestDistanceSq = distanceSq;
+            bestType = 'edge';
+            bestPoint.copy(this._candidate);
+          }
+        }
+      }
+    };
+
+    if (cellCount <= index.vertexCells.size + index.edgeCells.size) {
+      for (let x = min[0]; x <= max[0]; x++) {
+        for (let y = min[1]; y <= max[1]; y++) {
+          for (let z = min[2]; z <= max[2]; z++) {
+            visitCell(this._cellKey(index, x, y, z));
+          }
+        }
+      }
+    } else {
+      // Large radius relative to the grid: visit occupied cells instead of every cell in range
+      const inRange = key => {
+        const x = key % index.dims[0];
+        const y = Math.floor(key / index.dims[0]) % index.dims[1];
+        const z = Math.floor(key / (index.dims[0] * index.dims[1]));
+        return x >= min[0] && x <= max[0] && y >= min[1] && y <= max[1] && z >= min[2] && z <= max[2];
+      };
+      new Set([...index.vertexCells.keys(), ...index.edgeCells.keys()]).forEach(key => {
+        if (inRange(key)) visitCell(key);
+      });
+    }
+
+    if (!bestType) return null;
+    return {
+      point: mesh.localToWorld(bestPoint),
+      type: bestType,
+      object: mesh,
+      distance: Math.sqrt(bestDistanceSq) * scale
+    };
+  }
+
+  _getIndex(geometry) {
+    if (this._indices.has(geometry)) {
+      return this._indices.get(geometry);
+    }
+    const index = this._buildIndex(geometry);
+    this._indices.set(geometry, index);
+    this._pending.delete(geometry);
+    return index;
+  }
+
+  _buildIndex(geometry) {
+    const position = geometry.attributes.position;
+    if (!position || position.count === 0) return null;
+
+    if (!geometry.boundingBox) {
+      geometry.computeBoundingBox();
+    }
+    const box = geometry.boundingBox;
+    const size = box.getSize(new THREE.Vector3());
+    const cellSize = Math.max(size.x, size.y, size.z) / GRID_CELLS || 1;
+    const index = {
+      min: box.min.clone(),
+      cellSize,
+      dims: [
+        Math.floor(size.x / cellSize) + 1,
+        Math.floor(size.y / cellSize) + 1,
+        Math.floor(size.z / cellSize) + 1
+      ],
+      vertexCells: new Map(),
+      edgeCells: new Map(),
+      edges: null
+    };
+
+    const addToCell = (cells, key, value) => {
+      const bucket = cells.get(key);
+      if (bucket) {
+        bucket.push(value);
+      } else {
+        cells.set(key, [value]);
+      }
+    };
+
+    for (let i = 0; i < position.count; i++) {
+      const cell = this._cellCoords(index, position.getX(i), position.getY(i), position.getZ(i));
+      addToCell(index.vertexCells, this._cellKey(index, cell[0], cell[1], cell[2]), i);
+    }
+
+    const edgesGeometry = new THREE.EdgesGeometry(geometry, this.edgeAngle);
+    index.edges = edgesGeometry.attributes.position.array;
+    edgesGeometry.dispose();
+
+    const edges = index.edges;
+    for (let edge = 0; edge < edges.length / 6; edge++) {
+      const o = edge * 6;
+      const min = this._cellCoords(index,
+        Math.min(edges[o], edges[o + 3]), Math.min(edges[o + 1], edges[o + 4]), Math.min(edges[o + 2], edges[o + 5]));
+      const max = this._cellCoords(index,
+        Math.max(edges[o], edges[o + 3]), Math.max(edges[o + 1], edges[o + 4]), Math.max(edges[o + 2], edges[o + 5]));
+      for (let x = min[0]; x <= max[0]; x++) {
+        for (let y = min[1]; y <= max[1]; y++) {
+          for (let z = min[2]; z <= max[2]; z++) {
+            addToCell(index.edgeCells, this._cellKey(index, x, y, z), edge);
+          }
+        }
+      }
+    }
+
+    return index;
+  }
+
+  _cellCoords(index, x, y, z) {
+    const clamp = (value, axis) => Math.min(index.dims[axis] - 1, Math.max(0, Math.floor(value)));
+    return [
+      clamp((x - index.min.x) / index.cellSize, 0),
+      clamp((y - index.min.y) / index.cellSize, 1),
+      clamp((z - index.min.z) / index.cellSize, 2)
+    ];
+  }
+
+  _cellKey(index, x, y, z) {
+    return x + index.dims[0] * (y + index.dims[1] * z);
+  }
+}
@@ -1,6 +1,48 @@
 
 import * as THREE from 'three';
 import { Line2, LineMaterial, LineGeometry } from './ThickLine.js';
+import { MeasurementGeometry } from './MeasurementGeometry.js';
+import { MeasurementSnapper } from './MeasurementSnapper.js';
+import { MeasurementProfile } from './MeasurementProfile.js';
+import { MeasurementVolume } from './MeasurementVolume.js';
+import { EventSystem } from '../utils/EventSystem.js';
+import { PointCloud } from '../models/PointCloud.js';
+import { Georeference } from '../models/Georeference.js';
+
+/**
+ * Point limits for each measurement mode. Modes without a fixed maximum keep
+ * accepting points until the measurement is finished. Closed modes join the
+ * last point back to the first.
+ */
+const MEASUREMENT_MODES = {
+  distance: { minPoints: 2, maxPoints: 2 },
+  polyline: { minPoints: 2, maxPoints: Infinity },
+  area: { minPoints: 3, maxPoints: Infinity, closed: true },
+  angle: { minPoints: 3, maxPoints: 3 },
+  bearing: { minPoints: 2, maxPoints: 2 },
+  volume: { minPoints: 3, maxPoints: Infinity, closed: true }
+};
+
+/**
+ * Display units for measurement readouts. `perMetre` converts from metres and
+ * `precision` is the default number of decimals ('ft-in' applies it to the
+ * inches part and reports areas in square feet).
+ */
+const MEASUREMENT_UNITS = {
+  m: { perMetre: 1, symbol: 'm', precision: 2 },
+  cm: { perMetre: 100, symbol: 'cm', precision: 1 },
+  mm: { perMetre: 1000, symbol: 'mm', precision: 0 },
+  ft: { perMetre: 1 / 0.3048, symbol: 'ft', precision: 2 },
+  'ft-in': { perMetre: 1 / 0.3048, symbol: 'ft', precision: 1 }
+};
+
+const INCHES_PER_METRE = 1 / 0.0254;
+
+// Volume results kept per outline and base plane before the cache is reset
+const MAX_CACHED_VOLUMES = 32;
+
+// Version written to exported measurement sets
+const MEASUREMENT_FORMAT_VERSION = 1;
 
 /**
  * @typedef {Object} MeasurementSystemConfig
@@ -12,6 +54,14 @@ import { Line2, LineMaterial, LineGeometry } from './ThickLine.js';
  * @property {Object} [config={}] - Additional configuration options
  * @property {string} [theme='dark'] - UI theme ('dark' or 'light')
  * @property {boolean} [showMeasurementLabels=false] - Whether to show measurement labels in desktop mode (always shown in VR)
+ * @property {string} [mode='distance'] - Measurement mode ('distance', 'polyline', 'area', 'angle', 'bearing' or 'volume')
+ * @property {string} [units='m'] - Display units ('m', 'cm', 'mm', 'ft' or 'ft-in')
+ * @property {number|null} [precision=null] - Decimal places for lengths and areas (null uses the unit's default)
+ * @property {boolean} [snapping=false] - Snap measurement points to nearby vertices and feature edges
+ * @property {number} [snapRadius=12] - Desktop snapping radius in screen pixels
+ * @property {THREE.Matrix4|Function} [modelToWorld=null] - Transform applied to GeoJSON export coordinates (see setModelToWorld)
+ * @property {boolean} [showMeasurementList=true] - Show the sidebar list of saved measurements in desktop mode
+ * @property {string|number} [volumeBase='fit'] - Base plane for volume measurements (see setVolumeBase)
  */
 
 /**
@@ -22,11 +72,18 @@ import { Line2, LineMaterial, LineGeometry } from './ThickLine.js';
  * with visual measurement lines, distance labels, and measurement management UI.
  * 
  * @class MeasurementSystem
+ * @extends EventSystem
  * 
  * @param {MeasurementSystemConfig} config - Configuration object
  * 
- * @fires MeasurementSystem#measurement-added - When a new measurement is created
- * @fires MeasurementSystem#measurement-cleared - When measurements are cleared
+ * @fires MeasurementSystem#measurement-added - When a measurement is saved to the measurement set
+ * @fires MeasurementSystem#measurement-removed - When a saved measurement is removed
+ * @fires MeasurementSystem#measurement-updated - When a saved measurement is renamed, recoloured, shown or hidden
+ * @fires MeasurementSystem#measurement-cleared - When saved measurements are cleared
+ * @fires MeasurementSystem#measurements-imported - When a measurement set is imported
+ * @fires MeasurementSystem#measurement-scale-changed - When a model's scale calibration changes
+ * @fires MeasurementSystem#measurement-undo - When a change is undone
+ * @fires MeasurementSystem#measurement-redo - When an undone change is redone
  * @fires MeasurementSystem#measurement-enabled - When measurement mode is enabled
  * @fires MeasurementSystem#measurement-disabled - When measurement mode is disabled
  * 
@@ -61,12 +118,14 @@ import { Line2, LineMaterial, LineGeometry } from './ThickLine.js';
  * 
  * @since 1.0.0
  */
-export class MeasurementSystem {
+export class MeasurementSystem extends EventSystem {
   /**
    * Set the objects to use for raycasting during measurement
    * 
    * Defines which 3D objects can be measured. Accepts meshes, groups, or arrays
-   * and will traverse to find all meshes with geometry, excluding measurement helpers.
+   * and will traverse to find all meshes and point clouds with geometry,
+   * excluding measurement helpers. Picks on a point cloud land on the nearest
+   * recorded point.
    * 
    * @method setRaycastTargets
    * @param {THREE.Object3D|THREE.Object3D[]} targets - Target objects for measurement
@@ -83,17 +142,74 @@ export class MeasurementSystem {
    * @since 1.0.0
    */
   setRaycastTargets(targets) {
+    this._raycastTargets = this._collectTargets(targets);
+    if (this._volumeCache.size > 0) {
+      this._volumeCache.clear();
+      this._refreshVolumeReadouts();
+    }
+    if (this.snapping) {
+      this.snapper.prepare(this._raycastTargets);
+    }
+  }
+
+  /**
+   * Add objects to the measurement targets without rescanning the rest
+   *
+   * Used as a tileset streams in finer tiles. Accepts the same objects as
+   * `setRaycastTargets`; meshes that are already targets are skipped.
+   *
+   * @param {THREE.Object3D|THREE.Object3D[]} targets - Objects that became measurable
+   * @returns {void}
+   * @since 1.1.0
+   */
+  addRaycastTargets(targets) {
+    const current = new Set(this._raycastTargets || []);
+    const added = this._collectTargets(targets).filter(mesh => !current.has(mesh));
+    if (added.length === 0) return;
+    this._raycastTargets = [...current, ...added];
+    this._invalidateVolumes(added);
+    if (this.snapping) {
+      this.snapper.prepare(this._raycastTargets);
+    }
+  }
+
+  /**
+   * Remove objects from the measurement targets
+   *
+   * @param {THREE.Object3D|THREE.Object3D[]} targets - Objects that are no longer measurable
+   * @returns {void}
+   * @since 1.1.0
+   */
+  removeRaycastTargets(targets) {
+    const removed = new Set(this._collectTargets(targets));
+    if (removed.size === 0 || !this._raycastTargets) return;
+    this._raycastTargets = this._raycastTargets.filter(mesh => !removed.has(mesh));
+    this._invalidateVolumes([...removed]);
+    if (this.snapping) {
+      this.snapper.prepare(this._raycastTargets);
+    }
+  }
+
+  /**
+   * Find the meshes and point clouds to measure against in objects
+   *
+   * @private
+   * @param {THREE.Object3D|THREE.Object3D[]} targets - Meshes, groups or arrays of them
+   * @returns {THREE.Object3D[]} Meshes and point clouds with geometry
+   */
+  _collectTargets(targets) {
     const meshTargets = [];
+    const isTarget = obj => (obj.isMesh || obj.userData.isPointCloud) && obj.geometry && !this.isMeasurementHelper(obj);
     const addMeshes = obj => {
       if (Array.isArray(obj)) {
         obj.forEach(addMeshes);
       } else if (obj && typeof obj === 'object') {
-        if (obj.isMesh && obj.geometry && !this.isMeasurementHelper(obj)) {
+        if (isTarget(obj)) {
           obj.updateMatrixWorld(true);
           meshTargets.push(obj);
         } else if (obj.traverse) {
           obj.traverse(child => {
-            if (child.isMesh && child.geometry && !this.isMeasurementHelper(child)) {
+            if (isTarget(child)) {
               child.updateMatrixWorld(true);
               meshTargets.push(child);
             }
@@ -102,12 +218,57 @@ export class MeasurementSystem {
       }
     };
     addMeshes(targets);
-    this._raycastTargets = meshTargets;
+    return meshTargets;
+  }
+
+  /**
+   * Size point-cloud picking to the points currently drawn
+   *
+   * @private
+   * @param {THREE.Raycaster} raycaster - Raycaster about to be used against the targets
+   * @returns {THREE.Raycaster} The same raycaster
+   */
+  _configureRaycaster(raycaster) {
+    const threshold = PointCloud.getRaycastThreshold(this._raycastTargets || []);
+    if (threshold > 0) {
+      raycaster.params.Points.threshold = threshold;
+    }
+    return raycaster;
+  }
+
+  /**
+   * Move a point-cloud hit from the ray onto the recorded point it hit
+   *
+   * @private
+   * @param {Object} intersect - Raycaster intersection
+   * @returns {Object} The intersection, with `point` on the picked point for point clouds
+   */
+  _resolveIntersection(intersect) {
+    const object = intersect.object;
+    if (!object.isPoints || intersect.index === undefined) return intersect;
+    const point = new THREE.Vector3().fromBufferAttribute(object.geometry.attributes.position, intersect.index);
+    return { ...intersect, point: point.applyMatrix4(object.matrixWorld) };
+  }
+
+  /**
+   * Whether an object and all its ancestors are visible
+   *
+   * Raycasts ignore visibility, but streamed models keep hidden tiles around.
+   *
+   * @private
+   * @param {THREE.Object3D} object - Object that was hit
+   * @returns {boolean} True if the object is drawn
+   */
+  _isDisplayed(object) {
+    for (let current = object; current; current = current.parent) {
+      if (!current.visible) return false;
+    }
+    return true;
   }
 
   isMeasurementHelper(obj) {
     if (!obj) return false;
-    if (obj.geometry === this.sphereGeometry || obj.userData.isMeasurementSphere) return true;
+    if (obj.geometry === this.sphereGeometry || obj.userData.isMeasurementSphere || obj.userData.isMeasurementLabel) return true;
     if (obj.type === 'Line2' || obj.type === 'Line' || (obj.geometry && obj.geometry.type === 'LineGeometry')) return true;
     const helperGeometries = ['RingGeometry', 'TubeGeometry', 'PlaneGeometry', 'CircleGeometry'];
     if (obj.geometry && helperGeometries.includes(obj.geometry.type)) return true;
@@ -127,7 +288,8 @@ export class MeasurementSystem {
    * 
    * @param {MeasurementSystemConfig} config - Configuration object
    */
-  constructor({ scene, camera, renderer, controls, dolly, config = {}, theme = 'dark', showMeasurementLabels = false }) {
+  constructor({ scene, camera, renderer, controls, dolly, config = {}, theme = 'dark', showMeasurementLabels = false, mode = 'distance', units = 'm', precision = null, snapping = false, snapRadius = 12, modelToWorld = null, showMeasurementList = true, volumeBase = 'fit' }) {
+    super();
     this.ghostSpheres = {
       left: null,
       right: null
@@ -139,6 +301,38 @@ export class MeasurementSystem {
     this.previousTriggerState = {};
     this.unifiedMeasurementPoints = [];
     this.unifiedMeasurementLine = null;
+    this.unifiedMeasurementFinished = false;
+    this.measurementMode = MEASUREMENT_MODES[mode] ? mode : 'distance';
+    this.POINT_PICK_RADIUS = 0.04;
+    // Screen tolerance for grabbing a point on desktop, and grab reach in VR (metres)
+    this.POINT_DRAG_PIXELS = 10;
+    this.VR_GRAB_RADIUS = 0.05;
+    this._dragPoint = null;
+    this._vrGrab = null;
+    this.profileOverlay = null;
+    this._profile = null;
+
+    // Saved measurements for the active model, plus serialized sets for
+    // models that are not currently loaded, keyed by model key
+    this.measurements = [];
+    this.storedMeasurements = new Map();
+    this.activeModel = null;
+    this.activeModelKey = null;
+    // Grid offsets of georeferenced models, kept for exporting stored sets
+    this.georeferences = new Map();
+    // Last model-to-scene transform of each model, for measuring stored sets
+    this._modelMatrices = new Map();
+    this._measurementIdCounter = 0;
+
+    // Snapshots of the live and saved measurements for undo/redo
+    this._undoStack = [];
+    this._redoStack = [];
+    this.MAX_HISTORY = 50;
+
+    // Calibration factors applied to readouts, keyed by model key
+    this.scaleFactors = new Map();
+    this.modelToWorld = null;
+    this.setModelToWorld(modelToWorld);
     
     this.desktopMeasurementPoints = [];
     this.desktopMeasurementLine = null;
@@ -154,6 +348,15 @@ export class MeasurementSystem {
     this.config = config;
     this.theme = theme;
     this.showMeasurementLabels = showMeasurementLabels;
+    this.showMeasurementList = showMeasurementList;
+    this.volumeBase = 'fit';
+    this._volumeCache = new Map();
+    this._pendingVolumes = new Map();
+    this._volumeTimer = null;
+    this.units = 'm';
+    this.precision = null;
+    this.setUnits(units, precision);
+    this.setVolumeBase(volumeBase);
 
     this._raycastTargets = (scene && scene.children) ? scene.children : [];
 
@@ -175,6 +378,22 @@ export class MeasurementSystem {
     this.mouse = new THREE.Vector2();
     this.raycaster = new THREE.Raycaster();
 
+    // Optional snapping to vertices and feature edges; the VR radius is in metres
+    this.snapping = !!snapping;
+    this.snapRadius = snapRadius;
+    this.VR_SNAP_RADIUS = 0.05;
+    this.snapper = new MeasurementSnapper();
+    this.snapIndicator = null;
+    this._snapPreviewEvent = null;
+    this._snapPreviewFrame = null;
+
+    // Bound once so attachVR can run again without stacking listeners
+    this._onVRTriggerDown = this._onVRTriggerDown.bind(this);
+    this._onVRTriggerUp = this._onVRTriggerUp.bind(this);
+    this._onVRYButtonDown = this._onVRYButtonDown.bind(this);
+    this._onVRYButtonUp = this._onVRYButtonUp.bind(this);
+    this._onVRThumbstickDown = this._onVRThumbstickDown.bind(this);
+
     const tryAttachMeasurementVR = () => {
       let controller1 = null, controller2 = null;
       const controllerGrip1 = null, controllerGrip2 = null;
@@ -218,6 +437,17 @@ export class MeasurementSystem {
     }
     this.sphereGeometry = new THREE.SphereGeometry(0.02, 8, 6);
     this.placedMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+    this.snapIndicator = new THREE.Mesh(this.sphereGeometry, new THREE.MeshBasicMaterial({
+      color: 0xffd400,
+      transparent: true,
+      opacity: 0.9,
+      depthTest: false,
+      depthWrite: false
+    }));
+    this.snapIndicator.name = 'MeasurementHelper_SnapIndicator';
+    this.snapIndicator.scale.setScalar(1.5);
+    this.snapIndicator.renderOrder = 999;
+    this.snapIndicator.visible = false;
     this.vrLineMaterial = new LineMaterial({
       color: 0xffffff,
       linewidth: 3,
@@ -243,15 +473,28 @@ export class MeasurementSystem {
 
     this.createMeasurementPanel();
     this.updateMeasurementPanel();
+    this.measurementList = null;
+    if (this.showMeasurementList) {
+      this.createMeasurementList();
+      this.updateMeasurementList();
+    }
 
     this._boundOnMouseClick = this.onMouseClick.bind(this);
     this._boundOnMouseDown = this.onMouseDown.bind(this);
     this._boundOnMouseMove = this.onMouseMove.bind(this);
     this._boundOnMouseUp = this.onMouseUp.bind(this);
+    this._boundOnKeyDown = this.onKeyDown.bind(this);
     this.renderer.domElement.addEventListener('click', this._boundOnMouseClick, false);
     this.renderer.domElement.addEventListener('mousedown', this._boundOnMouseDown, false);
     this.renderer.domElement.addEventListener('mousemove', this._boundOnMouseMove, false);
     this.renderer.domElement.addEventListener('mouseup', this._boundOnMouseUp, false);
+    // Shortcuts only apply inside this viewer: clicking the canvas focuses it,
+    // and keys pressed on the panel or list bubble up to the container
+    this._keyTarget = this.renderer.domElement.parentElement || this.renderer.domElement;
+    if (!this.renderer.domElement.hasAttribute('tabindex')) {
+      this.renderer.domElement.tabIndex = -1;
+    }
+    this._keyTarget.addEventListener('keydown', this._boundOnKeyDown, false);
 
     if (renderer && renderer.xr && typeof renderer.xr.getController === 'function') {
       const manualAttachVR = () => {
@@ -339,12 +582,1634 @@ export class MeasurementSystem {
     this.clearLegacyDesktopMeasurement();
   }
 
-  toggle() {
-    this.desktopMeasurementMode = !this.desktopMeasurementMode;
-    this.updateMeasurementPanel();
-    if (!this.desktopMeasurementMode) {
-      this.clearLegacyDesktopMeasurement();
+  toggle() {
+    this.desktopMeasurementMode = !this.desktopMeasurementMode;
+    this.updateMeasurementPanel();
+    if (!this.desktopMeasurementMode) {
+      this.clearLegacyDesktopMeasurement();
+    }
+  }
+
+  /**
+   * Switch between measurement modes
+   *
+   * 'distance' measures a single straight segment between two points.
+   * 'polyline' chains any number of points and reports each segment as well
+   * as the cumulative length. 'area' outlines a closed polygon and reports
+   * its plan and true 3D area. 'angle' reports the interior angle at the
+   * middle of three points, and 'bearing' reports the horizontal bearing and
+   * inclination of a two-point segment. 'volume' outlines a closed polygon
+   * like 'area' and reports the cut and fill volume of the mesh against a
+   * base plane (see setVolumeBase). Switching modes clears the current
+   * measurement.
+   *
+   * @method setMode
+   * @param {string} mode - Measurement mode ('distance', 'polyline', 'area', 'angle', 'bearing' or 'volume')
+   * @returns {void}
+   *
+   * @example
+   * // Measure along a hull line with several points
+   * measurementSystem.setMode('polyline');
+   *
+   * @since 1.1.0
+   */
+  setMode(mode) {
+    if (!MEASUREMENT_MODES[mode]) {
+      console.warn(`[MeasurementSystem] Unknown measurement mode '${mode}'`);
+      return;
+    }
+    if (mode === this.measurementMode) return;
+    this.measurementMode = mode;
+    this.clearUnifiedMeasurement();
+  }
+
+  getMode() {
+    return this.measurementMode;
+  }
+
+  /**
+   * Finish the current open-ended measurement
+   *
+   * Polylines and areas keep growing until they are finished, either by
+   * calling this method or by placing a point on top of the last point again.
+   * Areas can also be closed by placing a point on the first point. The next
+   * point placed afterwards starts a new measurement.
+   *
+   * @method finishMeasurement
+   * @returns {boolean} True if the measurement was finished
+   *
+   * @since 1.1.0
+   */
+  finishMeasurement() {
+    const { minPoints } = MEASUREMENT_MODES[this.measurementMode];
+    if (this.unifiedMeasurementFinished || this.unifiedMeasurementPoints.length < minPoints) {
+      return false;
+    }
+    this.unifiedMeasurementFinished = true;
+    this.updateUnifiedMeasurementSprite();
+    this.updateMeasurementPanel();
+    return true;
+  }
+
+  /**
+   * Get the lengths of each segment of the current measurement
+   *
+   * @method getMeasurementSegments
+   * @returns {number[]} Segment lengths in metres, in placement order
+   *
+   * @since 1.1.0
+   */
+  getMeasurementSegments() {
+    return this._measure(this.measurementMode, this._getUnifiedPositions()).segments;
+  }
+
+  /**
+   * Get the cumulative length of the current measurement
+   *
+   * For area measurements this is the perimeter of the closed outline.
+   *
+   * @method getMeasurementLength
+   * @returns {number} Total length in metres (0 with fewer than two points)
+   *
+   * @since 1.1.0
+   */
+  getMeasurementLength() {
+    return this._measure(this.measurementMode, this._getUnifiedPositions()).length;
+  }
+
+  /**
+   * Get the area enclosed by the current area measurement
+   *
+   * @method getMeasurementArea
+   * @returns {{plan: number, bestFit: number}|null} Plan (horizontal) area and
+   *   area on the outline's best-fit plane in square metres, or null when not
+   *   measuring a closed outline
+   *
+   * @since 1.1.0
+   */
+  getMeasurementArea() {
+    return this._measure(this.measurementMode, this._getUnifiedPositions()).area;
+  }
+
+  /**
+   * Get the cut and fill volumes for the current volume measurement
+   *
+   * @method getMeasurementVolume
+   * @returns {{cut: number, fill: number, net: number, coverage: number}|null}
+   *   Volume of mesh above the base plane (cut) and of space below it (fill)
+   *   in cubic metres, cut minus fill, and the fraction of the outline covered
+   *   by the mesh, or null when not measuring a closed volume outline
+   *
+   * Computed on the spot if it is not cached yet; the panel and labels wait
+   * until the outline is finished and no point is being dragged.
+   *
+   * @since 1.1.0
+   */
+  getMeasurementVolume() {
+    return this._measure(this.measurementMode, this._getUnifiedPositions(), undefined, undefined, 'now').volume;
+  }
+
+  /**
+   * Choose the base plane that volumes are measured against
+   *
+   * 'fit' uses the least-squares plane through the outline points, which
+   * suits mounds on a sloping seabed. 'lowest' and 'highest' use a horizontal
+   * plane through the lowest or highest outline point, and a number sets a
+   * horizontal plane at that scene height.
+   *
+   * @method setVolumeBase
+   * @param {string|number} base - 'fit', 'lowest', 'highest' or a scene height
+   * @returns {void}
+   *
+   * @example
+   * measurementSystem.setMode('volume');
+   * measurementSystem.setVolumeBase('lowest');
+   *
+   * @since 1.1.0
+   */
+  setVolumeBase(base) {
+    if (!['fit', 'lowest', 'highest'].includes(base) && !Number.isFinite(base)) {
+      console.warn(`[MeasurementSystem] Invalid volume base '${base}'; expected 'fit', 'lowest', 'highest' or a height`);
+      return;
+    }
+    this.volumeBase = base;
+    if (this.scene) {
+      this._refreshMeasurementReadouts();
+    }
+  }
+
+  getVolumeBase() {
+    return this.volumeBase;
+  }
+
+  /**
+   * Get the angle reading for the current angle or bearing measurement
+   *
+   * @method getMeasurementAngle
+   * @returns {{angle: number}|{bearing: number, inclination: number}|null}
+   *   Interior angle at the middle point in 'angle' mode, bearing and
+   *   inclination of the segment in 'bearing' mode (all in degrees), or null
+   *   when no complete angle measurement exists
+   *
+   * @since 1.1.0
+   */
+  getMeasurementAngle() {
+    return this._measure(this.measurementMode, this._getUnifiedPositions()).angle;
+  }
+
+  /**
+   * Get the horizontal and vertical components of a two-point distance
+   *
+   * @method getMeasurementHeightDifference
+   * @returns {{horizontal: number, vertical: number, slope: number|null}|null}
+   *   Horizontal distance and vertical change (positive when the second point
+   *   is higher) in metres, slope in percent, or null outside 'distance' mode
+   *
+   * @since 1.1.0
+   */
+  getMeasurementHeightDifference() {
+    return this._measure(this.measurementMode, this._getUnifiedPositions()).heightDifference;
+  }
+
+  /**
+   * Convert a scene position to real-world grid coordinates
+   *
+   * Uses the active model's georeference (see Georeference), so the result
+   * does not depend on where the model was centred or placed in the scene.
+   *
+   * @method getGridCoordinates
+   * @param {THREE.Vector3} point - Position in scene coordinates
+   * @returns {{east: number, north: number, up: number, epsg: string|null}|null}
+   *   Easting, northing and elevation, or null if the model is not georeferenced
+   *
+   * @since 1.1.0
+   */
+  getGridCoordinates(point) {
+    return Georeference.worldToGrid(this.activeModel, point);
+  }
+
+  /**
+   * Get the current measurement's points in real-world grid coordinates
+   *
+   * @method getMeasurementGridPoints
+   * @returns {Array<{east: number, north: number, up: number, epsg: string|null}>|null}
+   *   One entry per placed point, or null if the model is not georeferenced
+   *
+   * @since 1.1.0
+   */
+  getMeasurementGridPoints() {
+    if (!this.activeModel || !this.activeModel.userData.georeference) return null;
+    return this._getUnifiedPositions().map(position => this.getGridCoordinates(position));
+  }
+
+  isClosedMeasurement() {
+    return this._isClosed(this.measurementMode, this.unifiedMeasurementPoints.length);
+  }
+
+  hasCompleteMeasurement() {
+    return this._isComplete(this.measurementMode, this.unifiedMeasurementPoints.length);
+  }
+
+  _getUnifiedPositions() {
+    return this.unifiedMeasurementPoints.map(point => point.position);
+  }
+
+  _isClosed(mode, pointCount) {
+    const { minPoints, closed } = MEASUREMENT_MODES[mode];
+    return !!closed && pointCount >= minPoints;
+  }
+
+  _isComplete(mode, pointCount) {
+    return pointCount >= MEASUREMENT_MODES[mode].minPoints;
+  }
+
+  /**
+   * Compute every reading that applies to a set of points in a given mode.
+   * Shared by the live measurement and saved measurements so both report
+   * identical values.
+   *
+   * @private
+   * @param {string} mode - Measurement mode
+   * @param {THREE.Vector3[]} positions - World positions in placement order
+   * @param {number} [scale] - Calibration factor for lengths (defaults to the active model's)
+   * @param {THREE.Mesh[]} [meshes] - Meshes volumes are measured against (defaults to the raycast targets)
+   * @param {string} [volumeWhen='skip'] - 'now' to compute a missing volume before returning, 'later' to
+   *   compute it after the current event and redraw the readouts, 'skip' to leave it out
+   * @returns {Object} Segments, length and the mode-specific readings (null when not applicable);
+   *   a volume that is not computed yet has `pending: true` and null values
+   */
+  _measure(mode, positions, scale = this.getScaleFactor(), meshes = this._raycastTargets, volumeWhen = 'skip') {
+    const complete = this._isComplete(mode, positions.length);
+    const closed = this._isClosed(mode, positions.length);
+
+    const segments = [];
+    for (let i = 1; i < positions.length; i++) {
+      segments.push(positions[i - 1].distanceTo(positions[i]) * scale);
+    }
+    if (closed) {
+      segments.push(positions[positions.length - 1].distanceTo(positions[0]) * scale);
+    }
+
+    let heightDifference = null;
+    if (complete && mode === 'distance') {
+      heightDifference = MeasurementGeometry.heightDifference(positions[0], positions[1]);
+      heightDifference.horizontal *= scale;
+      heightDifference.vertical *= scale;
+    }
+
+    let angle = null;
+    if (complete && mode === 'angle') {
+      angle = { angle: MeasurementGeometry.angleAt(positions[0], positions[1], positions[2]) };
+    } else if (complete && mode === 'bearing') {
+      angle = MeasurementGeometry.bearing(positions[0], positions[1]);
+    }
+
+    let volume = null;
+    if (closed && mode === 'volume' && meshes && meshes.length > 0) {
+      const result = this._computeVolume(positions, meshes, volumeWhen);
+      const cubed = scale * scale * scale;
+      volume = result
+        ? { cut: result.cut * cubed, fill: result.fill * cubed, net: result.net * cubed, coverage: result.coverage }
+        : { cut: null, fill: null, net: null, coverage: null, pending: true };
+    }
+
+    return {
+      segments,
+      length: segments.reduce((total, length) => total + length, 0),
+      area: closed ? {
+        plan: MeasurementGeometry.planArea(positions) * scale * scale,
+        bestFit: MeasurementGeometry.bestFitArea(positions) * scale * scale
+      } : null,
+      angle,
+      heightDifference,
+      volume
+    };
+  }
+
+  _computeVolume(positions, meshes, when) {
+    // Readouts are redrawn often, so reuse results for unchanged outlines
+    const key = `${this.volumeBase}|${positions.map(position => position.toArray().join(',')).join(';')}`;
+    const cached = this._volumeCache.get(key);
+    if (cached) return cached.result;
+    if (when === 'now') return this._storeVolume(key, positions, meshes);
+    if (when === 'later') this._queueVolume(key, positions);
+    return null;
+  }
+
+  _storeVolume(key, positions, meshes) {
+    if (this._volumeCache.size >= MAX_CACHED_VOLUMES) {
+      this._volumeCache.clear();
+    }
+    const targets = meshes.filter(mesh => mesh.isMesh && !this.isMeasurementHelper(mesh));
+    const result = MeasurementVolume.compute(positions, targets, { base: this.volumeBase });
+    this._volumeCache.set(key, { bounds: new THREE.Box3().setFromPoints(positions), result });
+    return result;
+  }
+
+  _queueVolume(key, positions) {
+    this._pendingVolumes.set(key, positions.map(position => position.clone()));
+    if (this._volumeTimer !== null) return;
+    // One outline per task, after the event that asked for it, so placing
+    // points and redrawing labels never waits for the mesh to be rasterised
+    this._volumeTimer = setTimeout(() => {
+      this._volumeTimer = null;
+      const [nextKey, nextPositions] = [...this._pendingVolumes].pop();
+      this._pendingVolumes.clear();
+      if (!this._raycastTargets || this._raycastTargets.length === 0) return;
+      this._storeVolume(nextKey, nextPositions, this._raycastTargets);
+      // Redrawing asks again for any outline still missing its volume
+      this._refreshMeasurementReadouts();
+    }, 0);
+  }
+
+  /**
+   * Forget cached volumes whose outline overlaps meshes that were added or removed
+   *
+   * @private
+   * @param {THREE.Object3D[]} meshes - Meshes that changed
+   * @returns {void}
+   */
+  _invalidateVolumes(meshes) {
+    if (this._volumeCache.size === 0 || meshes.length === 0) return;
+    const changed = new THREE.Box3();
+    meshes.forEach(mesh => changed.union(new THREE.Box3().setFromObject(mesh)));
+    let invalidated = false;
+    this._volumeCache.forEach(({ bounds }, key) => {
+      if (bounds.max.x >= changed.min.x && bounds.min.x <= changed.max.x &&
+          bounds.max.z >= changed.min.z && bounds.min.z <= changed.max.z) {
+        this._volumeCache.delete(key);
+        invalidated = true;
+      }
+    });
+    if (invalidated) {
+      this._refreshVolumeReadouts();
+    }
+  }
+
+  _refreshVolumeReadouts() {
+    const hasVolumes = this.measurementMode === 'volume' || this.measurements.some(record => record.mode === 'volume');
+    if (this.scene && hasVolumes) {
+      this._refreshMeasurementReadouts();
+    }
+  }
+
+  /**
+   * When the live outline's volume should be computed: not while it is
+   * still being drawn or a point is being dragged
+   *
+   * @private
+   * @returns {string} 'later' or 'skip' (see _measure)
+   */
+  _liveVolumeWhen() {
+    return this.unifiedMeasurementFinished && !this._dragPoint && !this._vrGrab ? 'later' : 'skip';
+  }
+
+  _pendingVolumeText(volumeWhen) {
+    if (volumeWhen === 'later') return 'Calculating volume\u2026';
+    return this.unifiedMeasurementFinished ? 'Volume on release' : 'Volume when closed';
+  }
+
+  /**
+   * Set the units and precision used for every readout and export
+   *
+   * Measurement values returned by the API stay in metres; only formatted
+   * text in the panel, labels and CSV/GeoJSON exports is converted.
+   *
+   * @method setUnits
+   * @param {string} units - 'm', 'cm', 'mm', 'ft' or 'ft-in'
+   * @param {number|null} [precision=null] - Decimal places (null uses the unit's default)
+   * @returns {void}
+   *
+   * @example
+   * measurementSystem.setUnits('ft-in');
+   * measurementSystem.setUnits('cm', 0);
+   *
+   * @since 1.1.0
+   */
+  setUnits(units, precision = null) {
+    if (!MEASUREMENT_UNITS[units]) {
+      console.warn(`[MeasurementSystem] Unknown units '${units}'; expected one of ${Object.keys(MEASUREMENT_UNITS).join(', ')}`);
+      return;
+    }
+    if (precision !== null && !(Number.isInteger(precision) && precision >= 0 && precision <= 6)) {
+      console.warn(`[MeasurementSystem] Invalid precision ${precision}; using the default for '${units}'`);
+      precision = null;
+    }
+    this.units = units;
+    this.precision = precision;
+    if (this.scene) {
+      this._refreshMeasurementReadouts();
+    }
+  }
+
+  getUnits() {
+    return { units: this.units, precision: this._getPrecision() };
+  }
+
+  _getPrecision() {
+    return this.precision !== null ? this.precision : MEASUREMENT_UNITS[this.units].precision;
+  }
+
+  /**
+   * Convert a length in metres to the current units
+   *
+   * @param {number} metres - Length in metres
+   * @returns {number} Length in the current units ('ft-in' converts to decimal feet)
+   */
+  convertLength(metres) {
+    return metres * MEASUREMENT_UNITS[this.units].perMetre;
+  }
+
+  /**
+   * Convert an area in square metres to the current units
+   *
+   * @param {number} squareMetres - Area in square metres
+   * @returns {number} Area in the current square units
+   */
+  convertArea(squareMetres) {
+    const { perMetre } = MEASUREMENT_UNITS[this.units];
+    return squareMetres * perMetre * perMetre;
+  }
+
+  formatDistance(distance) {
+    const precision = this._getPrecision();
+    if (this.units === 'ft-in') {
+      // Round the inches first so a value never reads as 12"
+      const totalInches = Number((distance * INCHES_PER_METRE).toFixed(precision));
+      const feet = Math.floor(totalInches / 12);
+      return `${feet}' ${(totalInches - feet * 12).toFixed(precision)}"`;
+    }
+    return `${this.convertLength(distance).toFixed(precision)}${MEASUREMENT_UNITS[this.units].symbol}`;
+  }
+
+  formatArea(area) {
+    return `${this.convertArea(area).toFixed(this._getPrecision())}${MEASUREMENT_UNITS[this.units].symbol}²`;
+  }
+
+  /**
+   * Convert a volume in cubic metres to the current units
+   *
+   * @param {number} cubicMetres - Volume in cubic metres
+   * @returns {number} Volume in the current cubic units
+   */
+  convertVolume(cubicMetres) {
+    const { perMetre } = MEASUREMENT_UNITS[this.units];
+    return cubicMetres * perMetre * perMetre * perMetre;
+  }
+
+  formatVolume(volume) {
+    return `${this.convertVolume(volume).toFixed(this._getPrecision())}${MEASUREMENT_UNITS[this.units].symbol}³`;
+  }
+
+  formatVerticalDistance(delta) {
+    return `${delta >= 0 ? '+' : '-'}${this.formatDistance(Math.abs(delta))}`;
+  }
+
+  formatSlope(slope) {
+    return slope === null ? 'vertical' : `${slope.toFixed(1)}%`;
+  }
+
+  formatAngle(degrees) {
+    return `${degrees.toFixed(1)}°`;
+  }
+
+  formatBearing({ bearing, inclination }) {
+    const sign = inclination >= 0 ? '+' : '-';
+    return `${bearing.toFixed(1).padStart(5, '0')}° ${sign}${Math.abs(inclination).toFixed(1)}°`;
+  }
+
+  /**
+   * Tell the measurement system which model measurements belong to
+   *
+   * Saved measurements are stored in the model's local coordinates, so they
+   * stay attached to the model when it moves and can be restored when the
+   * same model is loaded again. Switching to a different model key stashes the
+   * current measurement set and restores any set previously saved for the
+   * new key.
+   *
+   * @method setActiveModel
+   * @param {THREE.Object3D|null} model - Root object of the measured model
+   * @param {string|null} [modelKey=null] - Key identifying the model (e.g. the ModelViewer models key)
+   * @returns {void}
+   *
+   * @since 1.1.0
+   */
+  setActiveModel(model, modelKey = null) {
+    if (model === this.activeModel && modelKey === this.activeModelKey) return;
+
+    if (this.measurements.length > 0) {
+      this.storedMeasurements.set(this.activeModelKey, this.measurements.map(record => this._serializeMeasurement(record)));
+    }
+    if (this.activeModel) {
+      this.activeModel.updateMatrixWorld(true);
+      this._modelMatrices.set(this.activeModelKey, this.activeModel.matrixWorld.clone());
+    }
+    this.measurements.forEach(record => this._disposeMeasurementObjects(record));
+    this.measurements = [];
+
+    this.activeModel = model || null;
+    this.activeModelKey = modelKey;
+    if (model && model.userData.georeference) {
+      this.georeferences.set(modelKey, model.userData.georeference);
+    }
+    this.clearHistory();
+
+    const stored = this.storedMeasurements.get(modelKey);
+    if (stored) {
+      this.storedMeasurements.delete(modelKey);
+      stored.forEach(data => this._addMeasurement(data));
+    }
+    this.updateMeasurementList();
+  }
+
+  /**
+   * Save the current measurement into the measurement set
+   *
+   * The saved measurement stays in the scene after the live measurement is
+   * cleared and is included in exportMeasurements().
+   *
+   * @method saveMeasurement
+   * @param {string} [label=''] - Name to show with the measurement
+   * @returns {Object|null} The saved measurement data, or null if there is no complete measurement
+   *
+   * @fires MeasurementSystem#measurement-added
+   *
+   * @example
+   * measurementSystem.saveMeasurement('Keel length');
+   *
+   * @since 1.1.0
+   */
+  saveMeasurement(label = '') {
+    if (!this.hasCompleteMeasurement()) return null;
+
+    this._recordHistory();
+    const record = this._addMeasurement({
+      mode: this.measurementMode,
+      label,
+      points: this._getUnifiedPositions().map(position => this._toModelLocal(position).toArray())
+    });
+    this.clearUnifiedMeasurement();
+    this.updateMeasurementList();
+
+    const data = this._serializeMeasurement(record);
+    this.emit('measurement-added', data);
+    return data;
+  }
+
+  /**
+   * Remove a saved measurement by id
+   *
+   * @method removeMeasurement
+   * @param {string} id - Measurement id
+   * @returns {boolean} True if a measurement was removed
+   *
+   * @fires MeasurementSystem#measurement-removed
+   *
+   * @since 1.1.0
+   */
+  removeMeasurement(id) {
+    const index = this.measurements.findIndex(record => record.id === id);
+    if (index < 0) return false;
+
+    this._recordHistory();
+    const [record] = this.measurements.splice(index, 1);
+    this._disposeMeasurementObjects(record);
+    this.updateMeasurementList();
+    this.emit('measurement-removed', this._serializeMeasurement(record));
+    return true;
+  }
+
+  /**
+   * Remove every saved measurement for the active model
+   *
+   * @method clearMeasurements
+   * @returns {void}
+   *
+   * @fires MeasurementSystem#measurement-cleared
+   *
+   * @since 1.1.0
+   */
+  clearMeasurements() {
+    if (this.measurements.length > 0) {
+      this._recordHistory();
+    }
+    this.measurements.forEach(record => this._disposeMeasurementObjects(record));
+    this.measurements = [];
+    this.updateMeasurementList();
+    this.emit('measurement-cleared', { modelKey: this.activeModelKey });
+  }
+
+  /**
+   * Get the saved measurements for the active model
+   *
+   * @method getMeasurements
+   * @returns {Object[]} Serializable measurement data with model-local points
+   *
+   * @since 1.1.0
+   */
+  getMeasurements() {
+    return this.measurements.map(record => this._serializeMeasurement(record));
+  }
+
+  /**
+   * Rename, recolour, show or hide a saved measurement
+   *
+   * @method updateMeasurement
+   * @param {string} id - Measurement id
+   * @param {Object} changes - Properties to change
+   * @param {string} [changes.label] - New name
+   * @param {string|null} [changes.color] - Colour as a '#rrggbb' string, or null for the default
+   * @param {boolean} [changes.visible] - Whether the measurement is drawn in the scene
+   * @returns {Object|null} The updated measurement data, or null if no measurement has that id or the colour is invalid
+   *
+   * @fires MeasurementSystem#measurement-updated
+   *
+   * @example
+   * measurementSystem.updateMeasurement(id, { label: 'Bow to stern', color: '#f97316' });
+   *
+   * @since 1.1.0
+   */
+  updateMeasurement(id, { label, color, visible } = {}) {
+    const record = this.measurements.find(existing => existing.id === id);
+    if (!record) return null;
+    if (color !== undefined && color !== null && !this._isValidColor(color)) {
+      console.warn(`[MeasurementSystem] Invalid measurement colour '${color}'; expected '#rrggbb'`);
+      return null;
+    }
+
+    this._recordHistory();
+    if (typeof label === 'string') record.label = label;
+    if (color !== undefined) record.color = color;
+    if (typeof visible === 'boolean') record.visible = visible;
+    this._disposeMeasurementObjects(record);
+    this._renderMeasurement(record);
+    this.updateMeasurementList();
+
+    const data = this._serializeMeasurement(record);
+    this.emit('measurement-updated', data);
+    return data;
+  }
+
+  /**
+   * Fly the desktop camera to a saved measurement
+   *
+   * Uses the same eased camera animation as double-click focusing, centred
+   * on the middle of the measurement's points.
+   *
+   * @method focusMeasurement
+   * @param {string} id - Measurement id
+   * @returns {boolean} True if the camera is moving to the measurement
+   *
+   * @since 1.1.0
+   */
+  focusMeasurement(id) {
+    const record = this.measurements.find(existing => existing.id === id);
+    const inVR = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
+    if (!record || inVR || !this.controls || !this.camera) return false;
+    this.focusOnPoint(MeasurementGeometry.centroid(record.positions));
+    return true;
+  }
+
+  /**
+   * Export every saved measurement as JSON
+   *
+   * Includes measurements stashed for models that are not currently loaded.
+   * Points are stored in each model's local coordinates.
+   *
+   * @method exportMeasurements
+   * @returns {string} JSON measurement set
+   *
+   * @example
+   * const json = measurementSystem.exportMeasurements();
+   * localStorage.setItem('wreck-measurements', json);
+   *
+   * @since 1.1.0
+   */
+  exportMeasurements() {
+    return JSON.stringify({
+      version: MEASUREMENT_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      modelKey: this.activeModelKey,
+      measurements: this._getAllMeasurementData()
+    }, null, 2);
+  }
+
+  /**
+   * Calibrate readouts against a reference of known length
+   *
+   * Measure a scale bar or other known reference with a distance or polyline
+   * measurement, then pass its true length. The resulting factor is applied to
+   * every later length, area and height readout for the active model.
+   *
+   * @method calibrate
+   * @param {number} trueLength - True length of the measured reference in metres
+   * @returns {number|null} The new scale factor, or null if no reference is measured
+   *
+   * @fires MeasurementSystem#measurement-scale-changed
+   *
+   * @example
+   * // After measuring a 1 m scale bar
+   * measurementSystem.calibrate(1.0);
+   *
+   * @since 1.1.0
+   */
+  calibrate(trueLength) {
+    if (!['distance', 'polyline'].includes(this.measurementMode) || !this.hasCompleteMeasurement()) {
+      console.warn('[MeasurementSystem] Measure a reference with a distance or polyline measurement before calibrating');
+      return null;
+    }
+    const measuredLength = this._measure(this.measurementMode, this._getUnifiedPositions(), 1).length;
+    if (!(trueLength > 0) || !(measuredLength > 0)) {
+      console.warn('[MeasurementSystem] Calibration needs a positive reference length');
+      return null;
+    }
+    const factor = trueLength / measuredLength;
+    this.setScaleFactor(factor);
+    return factor;
+  }
+
+  /**
+   * Set the scale factor applied to readouts for a model
+   *
+   * @method setScaleFactor
+   * @param {number} factor - Multiplier applied to lengths (areas use its square)
+   * @param {string|null} [modelKey] - Model key (defaults to the active model)
+   * @returns {void}
+   *
+   * @fires MeasurementSystem#measurement-scale-changed
+   *
+   * @since 1.1.0
+   */
+  setScaleFactor(factor, modelKey = this.activeModelKey) {
+    if (!Number.isFinite(factor) || factor <= 0) {
+      console.warn(`[MeasurementSystem] Invalid scale factor ${factor}; expected a positive number`);
+      return;
+    }
+    if (factor === 1) {
+      this.scaleFactors.delete(modelKey);
+    } else {
+      this.scaleFactors.set(modelKey, factor);
+    }
+    if (modelKey === this.activeModelKey) {
+      this._refreshMeasurementReadouts();
+    }
+    this.emit('measurement-scale-changed', { modelKey, factor });
+  }
+
+  /**
+   * Get the scale factor applied to readouts for a model
+   *
+   * @method getScaleFactor
+   * @param {string|null} [modelKey] - Model key (defaults to the active model)
+   * @returns {number} Scale factor (1 when uncalibrated)
+   *
+   * @since 1.1.0
+   */
+  getScaleFactor(modelKey = this.activeModelKey) {
+    return this.scaleFactors.has(modelKey) ? this.scaleFactors.get(modelKey) : 1;
+  }
+
+  _refreshMeasurementReadouts() {
+    this.measurements.forEach(record => {
+      const { size, text, details } = this._getMeasurementLabel(record.mode, record.positions);
+      this._drawMeasurementLabel(record.label3D, size, text, record.label ? [record.label, ...details] : details);
+    });
+    if (this.hasCompleteMeasurement()) {
+      this.updateUnifiedMeasurementSprite();
+    }
+    this.updateMeasurementPanel();
+    this.updateMeasurementList();
+  }
+
+  /**
+   * Turn vertex and edge snapping on or off
+   *
+   * When enabled, desktop clicks snap to the nearest mesh vertex or feature
+   * edge within `snapRadius` screen pixels, and VR placements snap within
+   * a few centimetres of the controller tip. A marker previews the snap
+   * target before the point is placed.
+   *
+   * @method setSnapping
+   * @param {boolean} enabled - Whether to snap measurement points
+   * @returns {void}
+   *
+   * @since 1.1.0
+   */
+  setSnapping(enabled) {
+    this.snapping = !!enabled;
+    if (this.snapping) {
+      this.snapper.prepare(this._raycastTargets);
+    } else {
+      this._hideSnapIndicator();
+    }
+  }
+
+  _snapPoint(point, radius) {
+    if (!this.snapping || !this._raycastTargets || this._raycastTargets.length === 0) return null;
+    return this.snapper.snap(point, this._raycastTargets, radius);
+  }
+
+  /**
+   * Convert the pixel snap radius to world units at a point's depth
+   *
+   * @private
+   * @param {THREE.Camera} camera - Camera the pointer ray was cast from
+   * @param {THREE.Vector3} point - World point the radius is measured at
+   * @param {number} [pixels] - Radius in screen pixels (defaults to snapRadius)
+   * @returns {number} Snap radius in world units
+   */
+  _getSnapRadius(camera, point, pixels = this.snapRadius) {
+    const height = this.renderer.domElement.clientHeight || this.renderer.domElement.height || 1;
+    if (camera.isOrthographicCamera) {
+      return pixels * (camera.top - camera.bottom) / camera.zoom / height;
+    }
+    const cameraPosition = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+    const distance = cameraPosition.distanceTo(point);
+    const fov = THREE.MathUtils.degToRad(camera.fov || 65);
+    return pixels * (2 * distance * Math.tan(fov / 2)) / height;
+  }
+
+  _showSnapIndicator(point) {
+    if (!this.snapIndicator) return;
+    if (!this.snapIndicator.parent) {
+      this.scene.add(this.snapIndicator);
+    }
+    this.snapIndicator.position.copy(point);
+    this.snapIndicator.visible = true;
+  }
+
+  _hideSnapIndicator() {
+    if (this.snapIndicator) {
+      this.snapIndicator.visible = false;
+    }
+  }
+
+  _updateSnapPreview(event) {
+    const inVR = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
+    if (!this.snapping || !this.desktopMeasurementMode || inVR || this.isDragging) {
+      this._hideSnapIndicator();
+      return;
+    }
+    const pick = this._pickDesktopIntersection(event);
+    const snapped = pick && this._snapPoint(pick.intersect.point, this._getSnapRadius(pick.camera, pick.intersect.point));
+    if (snapped) {
+      this._showSnapIndicator(snapped.point);
+    } else {
+      this._hideSnapIndicator();
+    }
+  }
+
+  _updateVRSnapPreview() {
+    let best = null;
+    [this.ghostSpheres.left, this.ghostSpheres.right].forEach(ghostSphere => {
+      if (!ghostSphere || !ghostSphere.visible) return;
+      const snapped = this._snapPoint(ghostSphere.getWorldPosition(new THREE.Vector3()), this.VR_SNAP_RADIUS);
+      if (snapped && (!best || snapped.distance < best.distance)) {
+        best = snapped;
+      }
+    });
+    if (best) {
+      this._showSnapIndicator(best.point);
+    } else {
+      this._hideSnapIndicator();
+    }
+  }
+
+  /**
+   * Undo the last placement, point removal or measurement change
+   *
+   * Covers placing and removing points of the live measurement, clearing it,
+   * and saving, removing or clearing saved measurements for the active model.
+   * Mapped to Ctrl+Z on desktop and the left thumbstick press in VR.
+   *
+   * @method undo
+   * @returns {boolean} True if there was something to undo
+   *
+   * @fires MeasurementSystem#measurement-undo
+   *
+   * @since 1.1.0
+   */
+  undo() {
+    if (this._undoStack.length === 0) return false;
+    this._redoStack.push(this._captureHistoryState());
+    this._restoreHistoryState(this._undoStack.pop());
+    this.emit('measurement-undo', { canUndo: this.canUndo(), canRedo: this.canRedo() });
+    return true;
+  }
+
+  /**
+   * Redo the last undone change
+   *
+   * Mapped to Ctrl+Shift+Z (or Ctrl+Y) on desktop and the right thumbstick
+   * press in VR.
+   *
+   * @method redo
+   * @returns {boolean} True if there was something to redo
+   *
+   * @fires MeasurementSystem#measurement-redo
+   *
+   * @since 1.1.0
+   */
+  redo() {
+    if (this._redoStack.length === 0) return false;
+    this._undoStack.push(this._captureHistoryState());
+    this._restoreHistoryState(this._redoStack.pop());
+    this.emit('measurement-redo', { canUndo: this.canUndo(), canRedo: this.canRedo() });
+    return true;
+  }
+
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  clearHistory() {
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  /**
+   * Remove a point from the live measurement
+   *
+   * @method removePoint
+   * @param {number} [index] - Index of the point to remove (defaults to the last point)
+   * @returns {boolean} True if a point was removed
+   *
+   * @since 1.1.0
+   */
+  removePoint(index = this.unifiedMeasurementPoints.length - 1) {
+    const point = this.unifiedMeasurementPoints[index];
+    if (!point) return false;
+
+    this._recordHistory();
+    this.unifiedMeasurementPoints.splice(index, 1);
+    if (point.sphere) this.scene.remove(point.sphere);
+    this.unifiedMeasurementFinished = false;
+    this._refreshUnifiedMeasurement();
+    return true;
+  }
+
+  _captureHistoryState() {
+    return {
+      mode: this.measurementMode,
+      finished: this.unifiedMeasurementFinished,
+      points: this.unifiedMeasurementPoints.map(point => ({ position: point.position.clone(), source: point.source })),
+      measurements: this.measurements.map(record => this._serializeMeasurement(record))
+    };
+  }
+
+  /**
+   * Push the current state onto the undo stack before a change
+   *
+   * @private
+   * @param {Object} [state] - State captured before the change (defaults to the current state)
+   * @returns {void}
+   */
+  _recordHistory(state = this._captureHistoryState()) {
+    this._undoStack.push(state);
+    if (this._undoStack.length > this.MAX_HISTORY) {
+      this._undoStack.shift();
+    }
+    this._redoStack = [];
+  }
+
+  _restoreHistoryState(state) {
+    this.clearUnifiedMeasurement();
+    this.measurementMode = state.mode;
+    state.points.forEach(({ position, source }) => {
+      const sphere = new THREE.Mesh(this.sphereGeometry, this.placedMaterial);
+      sphere.position.copy(position);
+      sphere.userData.isMeasurementSphere = true;
+      this.scene.add(sphere);
+      this.unifiedMeasurementPoints.push({ position: position.clone(), sphere, source });
+    });
+    this.unifiedMeasurementFinished = state.finished;
+
+    this.measurements.forEach(record => this._disposeMeasurementObjects(record));
+    this.measurements = [];
+    state.measurements.forEach(data => this._addMeasurement(data));
+    this.updateMeasurementList();
+
+    this._refreshUnifiedMeasurement();
+  }
+
+  _refreshUnifiedMeasurement() {
+    if (this.unifiedMeasurementPoints.length >= 2) {
+      this.updateUnifiedMeasurementLine();
+    } else {
+      if (this.unifiedMeasurementLine) {
+        this.scene.remove(this.unifiedMeasurementLine);
+        this.unifiedMeasurementLine = null;
+      }
+      if (this.measurementSprite) {
+        this.scene.remove(this.measurementSprite);
+        this.measurementSprite = null;
+      }
+    }
+    this.updateMeasurementPanel();
+  }
+
+  onKeyDown(event) {
+    if (!this.desktopMeasurementMode) return;
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+    const key = event.key ? event.key.toLowerCase() : '';
+    let handled = false;
+    if (key === 'z' && !event.shiftKey) {
+      handled = this.undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      handled = this.redo();
+    }
+    if (handled) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Extract an elevation profile along the current distance measurement
+   *
+   * Samples the measured models in the vertical plane through the two
+   * measured points by casting rays straight down at evenly spaced stations.
+   * Distances are horizontal from the first point and heights are relative to
+   * it, both in metres with the model's scale calibration applied.
+   *
+   * @method getProfile
+   * @param {Object} [options={}] - Profile options
+   * @param {number} [options.samples=100] - Number of stations, including both ends
+   * @param {THREE.Vector3} [options.from] - Start point (defaults to the first measured point)
+   * @param {THREE.Vector3} [options.to] - End point (defaults to the second measured point)
+   * @returns {{distance: number, height: number|null}[]|null} Profile samples
+   *   (null height where nothing was hit), or null without a two-point line
+   *
+   * @example
+   * const profile = measurementSystem.getProfile({ samples: 200 });
+   *
+   * @since 1.1.0
+   */
+  getProfile({ samples = 100, from, to } = {}) {
+    if (!from || !to) {
+      if (!['distance', 'bearing'].includes(this.measurementMode) || !this.hasCompleteMeasurement()) {
+        return null;
+      }
+      [from, to] = this._getUnifiedPositions();
+    }
+    if (!this._raycastTargets || this._raycastTargets.length === 0) return null;
+
+    const scale = this.getScaleFactor();
+    const threshold = PointCloud.getRaycastThreshold(this._raycastTargets);
+    return MeasurementProfile.sample(from, to, this._raycastTargets, { samples, threshold }).map(sample => ({
+      distance: sample.distance * scale,
+      height: sample.height === null ? null : (sample.height - from.y) * scale
+    }));
+  }
+
+  /**
+   * Export an elevation profile as CSV in the current units
+   *
+   * @method exportProfileCSV
+   * @param {{distance: number, height: number|null}[]} [profile] - Profile from getProfile() (defaults to a new one)
+   * @returns {string} CSV text with distance and height columns, or an empty string without a profile
+   *
+   * @since 1.1.0
+   */
+  exportProfileCSV(profile = this.getProfile()) {
+    if (!profile) return '';
+    const precision = this._getPrecision();
+    const { symbol } = MEASUREMENT_UNITS[this.units];
+    const toLength = value => String(Number(this.convertLength(value).toFixed(precision)));
+    const rows = profile.map(sample => [
+      toLength(sample.distance),
+      sample.height === null ? '' : toLength(sample.height)
+    ].join(','));
+    return [`distance_${symbol},height_${symbol}`, ...rows].join('\n');
+  }
+
+  /**
+   * Export an elevation profile as an SVG chart labelled in the current units
+   *
+   * @method exportProfileSVG
+   * @param {{distance: number, height: number|null}[]} [profile] - Profile from getProfile() (defaults to a new one)
+   * @param {Object} [options={}] - Chart options passed to the renderer (width, height, color)
+   * @returns {string} SVG markup, or an empty string without a profile
+   *
+   * @since 1.1.0
+   */
+  exportProfileSVG(profile = this.getProfile(), options = {}) {
+    if (!profile) return '';
+    return MeasurementProfile.toSVG(profile, {
+      formatLength: value => `${value < 0 ? '-' : ''}${this.formatDistance(Math.abs(value))}`,
+      ...options
+    });
+  }
+
+  /**
+   * Show the elevation profile chart for the current distance measurement
+   *
+   * @method showProfile
+   * @param {Object} [options={}] - Options passed to getProfile()
+   * @returns {boolean} True if a profile was shown
+   *
+   * @since 1.1.0
+   */
+  showProfile(options = {}) {
+    const profile = this.getProfile(options);
+    if (!profile) return false;
+
+    if (!this.profileOverlay) {
+      this.profileOverlay = document.createElement('div');
+      this.profileOverlay.className = `measurement-profile${this.theme === 'light' ? ' light-theme' : ''}`;
+      this.profileOverlay.addEventListener('click', (event) => {
+        const action = event.target && event.target.closest && event.target.closest('[data-action]');
+        if (!action || !this._profile) return;
+        if (action.dataset.action === 'profile-csv') {
+          this._downloadText('profile.csv', this.exportProfileCSV(this._profile), 'text/csv');
+        } else if (action.dataset.action === 'profile-svg') {
+          this._downloadText('profile.svg', this.exportProfileSVG(this._profile), 'image/svg+xml');
+        } else if (action.dataset.action === 'profile-close') {
+          this.hideProfile();
+        }
+      });
+      const parent = (this.renderer && this.renderer.domElement && this.renderer.domElement.parentElement) || document.body;
+      parent.appendChild(this.profileOverlay);
+    }
+
+    this._profile = profile;
+    this.profileOverlay.innerHTML = `
+      <div class="measurement-profile__header">
+        <span>Profile</span>
+        <button type="button" class="measurement-panel__action" data-action="profile-csv">CSV</button>
+        <button type="button" class="measurement-panel__action" data-action="profile-svg">SVG</button>
+        <button type="button" class="measurement-panel__action" data-action="profile-close" aria-label="Close profile">×</button>
+      </div>
+      ${this.exportProfileSVG(profile, { width: 320, height: 140 })}
+    `;
+    this.profileOverlay.style.display = '';
+    return true;
+  }
+
+  /**
+   * Hide the elevation profile chart
+   *
+   * @method hideProfile
+   * @returns {void}
+   *
+   * @since 1.1.0
+   */
+  hideProfile() {
+    if (this.profileOverlay) {
+      this.profileOverlay.style.display = 'none';
+    }
+    this._profile = null;
+  }
+
+  _downloadText(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Set the transform used to place exported GeoJSON coordinates
+   *
+   * Model-local points are first multiplied by the model's scale factor and
+   * converted from the scene's Y-up axes to
+   * [east, north, up] (x, -z, y). A THREE.Matrix4 is then applied to that
+   * position, which suits a simple offset/rotation into a projected grid.
+   * A function receives the model-local THREE.Vector3 and the model key and
+   * must return the final [x, y, z] position itself. Without a transform,
+   * georeferenced models have their grid offset added instead.
+   *
+   * @method setModelToWorld
+   * @param {THREE.Matrix4|Function|null} transform - Transform, or null for the axis conversion only
+   * @returns {void}
+   *
+   * @example
+   * // Shift model coordinates onto a site grid (metres)
+   * measurementSystem.setModelToWorld(new THREE.Matrix4().makeTranslation(512340, 6952100, -32));
+   *
+   * @since 1.1.0
+   */
+  setModelToWorld(transform) {
+    if (transform && !transform.isMatrix4 && typeof transform !== 'function') {
+      console.warn('[MeasurementSystem] modelToWorld must be a THREE.Matrix4 or function; ignoring');
+      return;
+    }
+    this.modelToWorld = transform || null;
+  }
+
+  /**
+   * Export every saved measurement as a CSV table
+   *
+   * One row per measurement with its model key, timestamp, derived values in
+   * the current units and precision, and model-local points in metres. Segments and points are separated by semicolons.
+   * Volumes need the model's mesh: for models that are not loaded the volume
+   * columns are empty and `volume_status` is `model-not-loaded`.
+   *
+   * @method exportMeasurementsCSV
+   * @returns {string} CSV text with a header row
+   *
+   * @example
+   * await navigator.clipboard.writeText(measurementSystem.exportMeasurementsCSV());
+   *
+   * @since 1.1.0
+   */
+  exportMeasurementsCSV() {
+    const round = value => (value === null || value === undefined ? '' : String(Math.round(value * 1000) / 1000));
+    const precision = this._getPrecision();
+    const toLength = value => String(Number(this.convertLength(value).toFixed(precision)));
+    const toArea = value => String(Number(this.convertArea(value).toFixed(precision)));
+    const toVolume = value => String(Number(this.convertVolume(value).toFixed(precision)));
+    const { symbol } = MEASUREMENT_UNITS[this.units];
+    const header = [
+      'id', 'model_key', 'label', 'mode', 'created_at',
+      `length_${symbol}`, `segments_${symbol}`, `best_fit_area_${symbol}2`, `plan_area_${symbol}2`, 'angle_deg',
+      `cut_volume_${symbol}3`, `fill_volume_${symbol}3`, 'volume_status', 'points'
+    ];
+    const rows = this._getAllMeasurementData().map(data => {
+      const { segments, length, area, angle, volume, volumeStatus } = this._measureData(data);
+      let angleValue = null;
+      if (angle) {
+        angleValue = data.mode === 'angle' ? angle.angle : angle.bearing;
+      }
+      return [
+        data.id,
+        data.modelKey === null || data.modelKey === undefined ? '' : data.modelKey,
+        data.label,
+        data.mode,
+        data.createdAt,
+        toLength(length),
+        segments.map(toLength).join(';'),
+        area ? toArea(area.bestFit) : '',
+        area ? toArea(area.plan) : '',
+        round(angleValue),
+        volume ? toVolume(volume.cut) : '',
+        volume ? toVolume(volume.fill) : '',
+        volumeStatus || '',
+        data.points.map(point => point.join(' ')).join(';')
+      ];
+    });
+    return [header, ...rows].map(row => row.map(value => this._escapeCSV(value)).join(',')).join('\n');
+  }
+
+  /**
+   * Export every saved measurement as a GeoJSON FeatureCollection
+   *
+   * Area measurements become Polygons and all other modes LineStrings.
+   * Coordinates are passed through the model-to-world transform (see
+   * setModelToWorld) so the features can be loaded into GIS tools. Without
+   * one, measurements on georeferenced models are placed in their grid
+   * coordinates, and the grid's EPSG code is named in a `crs` member when all
+   * measurements share it. Length and area properties use the current units,
+   * named in each feature's `units`. Volume features carry a `volumeStatus`
+   * of 'computed', or 'model-not-loaded' when their model's mesh is not
+   * loaded and the volumes are null.
+   *
+   * @method exportMeasurementsGeoJSON
+   * @param {Object} [options={}] - Export options
+   * @param {THREE.Matrix4|Function} [options.modelToWorld] - Transform to use instead of the configured one
+   * @returns {string} GeoJSON text
+   *
+   * @since 1.1.0
+   */
+  exportMeasurementsGeoJSON({ modelToWorld = this.modelToWorld } = {}) {
+    const precision = this._getPrecision();
+    const toLength = value => Number(this.convertLength(value).toFixed(precision));
+    const toArea = value => Number(this.convertArea(value).toFixed(precision));
+    const toVolume = value => Number(this.convertVolume(value).toFixed(precision));
+    const features = this._getAllMeasurementData().map(data => {
+      const coordinates = data.points.map(point => this._toExportCoordinates(point, data.modelKey, modelToWorld));
+      const { segments, length, area, angle, volume, volumeStatus } = this._measureData(data);
+      const geometry = this._isClosed(data.mode, coordinates.length)
+        ? { type: 'Polygon', coordinates: [[...coordinates, coordinates[0]]] }
+        : { type: 'LineString', coordinates };
+      return {
+        type: 'Feature',
+        id: data.id,
+        geometry,
+        properties: {
+          label: data.label,
+          mode: data.mode,
+          modelKey: data.modelKey === undefined ? null : data.modelKey,
+          createdAt: data.createdAt,
+          units: MEASUREMENT_UNITS[this.units].symbol,
+          length: toLength(length),
+          segments: segments.map(toLength),
+          bestFitArea: area ? toArea(area.bestFit) : null,
+          planArea: area ? toArea(area.plan) : null,
+          angle: angle && data.mode === 'angle' ? angle.angle : null,
+          bearing: angle && data.mode === 'bearing' ? angle.bearing : null,
+          cutVolume: volume ? toVolume(volume.cut) : null,
+          fillVolume: volume ? toVolume(volume.fill) : null,
+          volumeStatus
+        }
+      };
+    });
+    const collection = { type: 'FeatureCollection', features };
+    const codes = new Set(this._getAllMeasurementData().map(data => {
+      const georeference = this.georeferences.get(data.modelKey === undefined ? null : data.modelKey);
+      return georeference ? georeference.epsg : null;
+    }));
+    const [epsg] = codes;
+    if (!modelToWorld && codes.size === 1 && epsg) {
+      // Legacy GeoJSON member, still read by most GIS tools
+      collection.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${epsg.replace('EPSG:', '')}` } };
+    }
+    return JSON.stringify(collection, null, 2);
+  }
+
+  _getAllMeasurementData() {
+    const measurements = this.getMeasurements();
+    this.storedMeasurements.forEach(stored => measurements.push(...stored));
+    return measurements;
+  }
+
+  /**
+   * Measure a saved measurement for export
+   *
+   * Every mode is measured in scene coordinates, as the labels and panel
+   * are. Sets for models that are not loaded use the placement the model
+   * last had, or their model-local points if it was never loaded.
+   *
+   * @private
+   * @param {Object} data - Serialized measurement
+   * @returns {Object} The readings from _measure, plus `volumeStatus`:
+   *   'computed' or 'model-not-loaded' for volumes, null for other modes
+   */
+  _measureData(data) {
+    const isActive = data.modelKey === this.activeModelKey;
+    const matrix = isActive ? null : this._modelMatrices.get(data.modelKey === undefined ? null : data.modelKey);
+    const positions = data.points.map(point => {
+      const position = new THREE.Vector3().fromArray(point);
+      if (isActive) return this._toWorld(position);
+      return matrix ? position.applyMatrix4(matrix) : position;
+    });
+    // Volumes need the mesh, which is only loaded for the active model
+    const meshes = isActive ? this._raycastTargets : [];
+    const measured = this._measure(data.mode, positions, this.getScaleFactor(data.modelKey), meshes, 'now');
+    let volumeStatus = null;
+    if (data.mode === 'volume') {
+      volumeStatus = measured.volume ? 'computed' : 'model-not-loaded';
+    }
+    return { ...measured, volumeStatus };
+  }
+
+  _toExportCoordinates(point, modelKey, modelToWorld) {
+    const local = new THREE.Vector3().fromArray(point).multiplyScalar(this.getScaleFactor(modelKey));
+    if (typeof modelToWorld === 'function') {
+      return modelToWorld(local, modelKey);
+    }
+    // Scene is Y-up with -Z as north; GIS positions are [east, north, up]
+    const position = new THREE.Vector3(local.x, -local.z, local.y);
+    const georeference = this.georeferences.get(modelKey === undefined ? null : modelKey);
+    if (modelToWorld) {
+      position.applyMatrix4(modelToWorld);
+    } else if (georeference) {
+      position.add(new THREE.Vector3().fromArray(georeference.offset));
+    }
+    return position.toArray();
+  }
+
+  _escapeCSV(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Import a measurement set previously produced by exportMeasurements()
+   *
+   * Measurements for the active model are shown immediately; measurements for
+   * other model keys are kept until that model becomes active.
+   *
+   * @method importMeasurements
+   * @param {string|Object} json - JSON string or parsed measurement set
+   * @param {Object} [options={}] - Import options
+   * @param {boolean} [options.append=false] - Keep existing measurements instead of replacing them
+   * @returns {number} Number of measurements imported
+   * @throws {Error} If the input is not a valid measurement set
+   *
+   * @fires MeasurementSystem#measurements-imported
+   *
+   * @example
+   * measurementSystem.importMeasurements(localStorage.getItem('wreck-measurements'));
+   *
+   * @since 1.1.0
+   */
+  importMeasurements(json, { append = false } = {}) {
+    let data = json;
+    if (typeof json === 'string') {
+      try {
+        data = JSON.parse(json);
+      } catch (error) {
+        throw new Error(`Invalid measurement JSON: ${error.message}`);
+      }
+    }
+    if (!data || !Array.isArray(data.measurements)) {
+      throw new Error('Invalid measurement set: expected a "measurements" array');
+    }
+
+    if (!append) {
+      this.measurements.forEach(record => this._disposeMeasurementObjects(record));
+      this.measurements = [];
+      this.storedMeasurements.clear();
+    }
+
+    this.clearHistory();
+    let count = 0;
+    data.measurements.forEach((measurement, index) => {
+      if (!this._isValidMeasurementData(measurement)) {
+        console.warn(`[MeasurementSystem] Skipping invalid measurement at index ${index}`);
+        return;
+      }
+      let modelKey = this.activeModelKey;
+      if (measurement.modelKey !== undefined) {
+        modelKey = measurement.modelKey;
+      } else if (data.modelKey !== undefined) {
+        modelKey = data.modelKey;
+      }
+      const entry = { ...measurement, modelKey };
+      if (modelKey === this.activeModelKey) {
+        this._addMeasurement(entry);
+      } else {
+        if (!this.storedMeasurements.has(modelKey)) {
+          this.storedMeasurements.set(modelKey, []);
+        }
+        this.storedMeasurements.get(modelKey).push({
+          ...entry,
+          id: typeof entry.id === 'string' ? entry.id : this._createMeasurementId(),
+          label: typeof entry.label === 'string' ? entry.label : '',
+          createdAt: entry.createdAt || new Date().toISOString()
+        });
+      }
+      count++;
+    });
+
+    this.updateMeasurementList();
+    this.emit('measurements-imported', { count, modelKey: this.activeModelKey });
+    return count;
+  }
+
+  _isValidMeasurementData(measurement) {
+    if (!measurement || !MEASUREMENT_MODES[measurement.mode] || !Array.isArray(measurement.points)) {
+      return false;
+    }
+    const validPoints = measurement.points.every(point =>
+      Array.isArray(point) && point.length === 3 && point.every(value => Number.isFinite(value))
+    );
+    return validPoints && this._isComplete(measurement.mode, measurement.points.length);
+  }
+
+  _isValidColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+  }
+
+  _createMeasurementId() {
+    const ids = new Set(this.measurements.map(record => record.id));
+    this.storedMeasurements.forEach(stored => stored.forEach(data => ids.add(data.id)));
+    let id;
+    do {
+      id = `measurement-${++this._measurementIdCounter}`;
+    } while (ids.has(id));
+    return id;
+  }
+
+  _toModelLocal(position) {
+    const local = position.clone();
+    if (this.activeModel) {
+      this.activeModel.updateMatrixWorld(true);
+      this.activeModel.worldToLocal(local);
+    }
+    return local;
+  }
+
+  _toWorld(localPosition) {
+    const world = localPosition.clone();
+    if (this.activeModel) {
+      this.activeModel.updateMatrixWorld(true);
+      this.activeModel.localToWorld(world);
+    }
+    return world;
+  }
+
+  /**
+   * Create, render and store a saved measurement from serialized data
+   *
+   * @private
+   * @param {Object} data - Measurement data with model-local points as [x, y, z] arrays
+   * @returns {Object} The stored measurement record
+   */
+  _addMeasurement(data) {
+    const localPoints = data.points.map(point => new THREE.Vector3().fromArray(point));
+    const record = {
+      id: typeof data.id === 'string' && !this.measurements.some(existing => existing.id === data.id)
+        ? data.id
+        : this._createMeasurementId(),
+      mode: data.mode,
+      label: typeof data.label === 'string' ? data.label : '',
+      modelKey: data.modelKey !== undefined ? data.modelKey : this.activeModelKey,
+      createdAt: data.createdAt || new Date().toISOString(),
+      color: this._isValidColor(data.color) ? data.color : null,
+      visible: data.visible !== false,
+      localPoints,
+      positions: localPoints.map(point => this._toWorld(point)),
+      spheres: [],
+      line: null,
+      materials: null,
+      label3D: { canvas: null, texture: null, sprite: null }
+    };
+    this._renderMeasurement(record);
+    this.measurements.push(record);
+    return record;
+  }
+
+  _renderMeasurement(record) {
+    let sphereMaterial = this.placedMaterial;
+    let lineMaterial = this.desktopLineMaterial;
+    if (record.color) {
+      sphereMaterial = this.placedMaterial.clone();
+      sphereMaterial.color.set(record.color);
+      lineMaterial = this.desktopLineMaterial.clone();
+      lineMaterial.color.set(record.color);
+      record.materials = [sphereMaterial, lineMaterial];
+    }
+
+    record.positions.forEach(position => {
+      const sphere = new THREE.Mesh(this.sphereGeometry, sphereMaterial);
+      sphere.position.copy(position);
+      sphere.visible = record.visible;
+      sphere.userData.isMeasurementSphere = true;
+      sphere.userData.measurementId = record.id;
+      this.scene.add(sphere);
+      record.spheres.push(sphere);
+    });
+
+    const linePositions = [];
+    record.positions.forEach(position => linePositions.push(position.x, position.y, position.z));
+    if (this._isClosed(record.mode, record.positions.length)) {
+      const first = record.positions[0];
+      linePositions.push(first.x, first.y, first.z);
+    }
+    const lineGeometry = new LineGeometry();
+    lineGeometry.setPositions(linePositions);
+    record.line = new Line2(lineGeometry, lineMaterial);
+    record.line.computeLineDistances();
+    record.line.visible = record.visible;
+    record.line.userData.isMeasurementLine = true;
+    record.line.userData.measurementId = record.id;
+    this.scene.add(record.line);
+
+    const { size, text, details, position } = this._getMeasurementLabel(record.mode, record.positions);
+    this._drawMeasurementLabel(record.label3D, size, text, record.label ? [record.label, ...details] : details);
+    record.label3D.sprite.position.copy(position);
+    record.label3D.sprite.userData.measurementId = record.id;
+    const inVR = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
+    record.label3D.sprite.visible = record.visible && (inVR || this.showMeasurementLabels);
+    this.scene.add(record.label3D.sprite);
+  }
+
+  _disposeMeasurementObjects(record) {
+    record.spheres.forEach(sphere => this.scene.remove(sphere));
+    record.spheres = [];
+    if (record.line) {
+      this.scene.remove(record.line);
+      record.line.geometry.dispose();
+      record.line = null;
+    }
+    if (record.label3D.sprite) {
+      this.scene.remove(record.label3D.sprite);
+      record.label3D.sprite.material.dispose();
+    }
+    if (record.label3D.texture) {
+      record.label3D.texture.dispose();
     }
+    record.label3D = { canvas: null, texture: null, sprite: null };
+    if (record.materials) {
+      record.materials.forEach(material => material.dispose());
+      record.materials = null;
+    }
+  }
+
+  _serializeMeasurement(record) {
+    const round = value => Math.round(value * 1e6) / 1e6;
+    return {
+      id: record.id,
+      mode: record.mode,
+      label: record.label,
+      modelKey: record.modelKey,
+      createdAt: record.createdAt,
+      color: record.color,
+      visible: record.visible,
+      points: record.localPoints.map(point => point.toArray().map(round))
+    };
   }
 
   clear() {
@@ -362,7 +2227,8 @@ export class MeasurementSystem {
       });
       this.unifiedMeasurementPoints.length = 0;
     }
-    
+    this.unifiedMeasurementFinished = false;
+
     if (this.unifiedMeasurementLine) {
       this.scene.remove(this.unifiedMeasurementLine);
       this.unifiedMeasurementLine = null;
@@ -470,10 +2336,10 @@ export class MeasurementSystem {
         let clampedPos = vrPos;
         if (this._raycastTargets && this._raycastTargets.length > 0 && this.camera) {
           const dir = vrPos.clone().sub(this.camera.position).normalize();
-          const raycaster = new THREE.Raycaster(this.camera.position, dir);
-          const intersects = raycaster.intersectObjects(this._raycastTargets, true);
+          const raycaster = this._configureRaycaster(new THREE.Raycaster(this.camera.position, dir));
+          const intersects = raycaster.intersectObjects(this._raycastTargets, true).filter(intersect => this._isDisplayed(intersect.object));
           if (intersects.length > 0) {
-            clampedPos = intersects[0].point;
+            clampedPos = this._resolveIntersection(intersects[0]).point;
           }
         }
         const newSphere = new THREE.Mesh(this.sphereGeometry, this.placedMaterial);
@@ -514,20 +2380,57 @@ export class MeasurementSystem {
     }
   }
 
-  createMeasurementDisplay(distance) {
+  /**
+   * Draw the measurement label onto the shared canvas sprite
+   *
+   * @param {number} distance - Linear size of the measurement, used to scale the label
+   * @param {string} [text] - Main label text (defaults to the formatted distance)
+   * @param {string[]} [details=[]] - Smaller secondary lines drawn under the main text
+   * @returns {THREE.Sprite} The measurement label sprite
+   */
+  createMeasurementDisplay(distance, text = this.formatDistance(distance), details = []) {
+    const label = this._drawMeasurementLabel({
+      canvas: this.measurementCanvas,
+      texture: this.measurementTexture,
+      sprite: this.measurementSprite
+    }, distance, text, details);
+    this.measurementCanvas = label.canvas;
+    this.measurementTexture = label.texture;
+    this.measurementSprite = label.sprite;
+    return this.measurementSprite;
+  }
+
+  /**
+   * Draw a label onto a canvas-backed sprite, creating any missing parts
+   *
+   * @private
+   * @param {{canvas: ?HTMLCanvasElement, texture: ?THREE.CanvasTexture, sprite: ?THREE.Sprite}} label - Label parts to reuse
+   * @param {number} distance - Linear size of the measurement, used to scale the label
+   * @param {string} text - Main label text
+   * @param {string[]} details - Smaller secondary lines drawn under the main text
+   * @returns {{canvas: HTMLCanvasElement, texture: THREE.CanvasTexture, sprite: THREE.Sprite}}
+   */
+  _drawMeasurementLabel(label, distance, text, details) {
     const DPR = (window.devicePixelRatio || 1) * 4;
     const logicalWidth = 256;
-    const logicalHeight = 64;
+    const baseLogicalHeight = 64;
+    const detailLineAllowance = 28;
+    const logicalHeight = baseLogicalHeight + details.length * detailLineAllowance;
     const canvasWidth = logicalWidth * DPR;
     const canvasHeight = logicalHeight * DPR;
-    if (!this.measurementCanvas) {
-      this.measurementCanvas = document.createElement('canvas');
+    if (!label.canvas) {
+      label.canvas = document.createElement('canvas');
     }
-    if (this.measurementCanvas.width !== canvasWidth || this.measurementCanvas.height !== canvasHeight) {
-      this.measurementCanvas.width = canvasWidth;
-      this.measurementCanvas.height = canvasHeight;
+    if (label.canvas.width !== canvasWidth || label.canvas.height !== canvasHeight) {
+      label.canvas.width = canvasWidth;
+      label.canvas.height = canvasHeight;
+      // GPU storage is sized on first upload, so a resized canvas needs a fresh texture
+      if (label.texture) {
+        label.texture.dispose();
+        label.texture = null;
+      }
     }
-    const context = this.measurementCanvas.getContext('2d');
+    const context = label.canvas.getContext('2d');
     context.setTransform(1, 0, 0, 1, 0, 0);
     context.clearRect(0, 0, canvasWidth, canvasHeight);
     context.save();
@@ -543,11 +2446,15 @@ export class MeasurementSystem {
       scaleFactor = 0.9 + progress * 0.5;
     }
     const fontSize = Math.round(baseFontSize * scaleFactor);
-    context.font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, Cantarell, sans-serif`;
-    const text = `${distance.toFixed(2)}m`;
+    const fontFamily = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, Cantarell, sans-serif';
+    const detailFontSize = Math.round(fontSize * 0.6);
+    const detailLineHeight = Math.round(detailFontSize * 1.3);
+    context.font = `400 ${detailFontSize}px ${fontFamily}`;
+    const detailWidths = details.map(line => context.measureText(line).width);
+    context.font = `600 ${fontSize}px ${fontFamily}`;
     const textMetrics = context.measureText(text);
-    const textWidth = textMetrics.width;
-    const textHeight = fontSize;
+    const textWidth = Math.max(textMetrics.width, ...detailWidths);
+    const textHeight = fontSize + details.length * detailLineHeight;
     const padding = Math.max(6, fontSize * 0.3);
     const bgWidth = textWidth + (padding * 2);
     const bgHeight = textHeight + (padding * 2);
@@ -560,28 +2467,41 @@ export class MeasurementSystem {
     context.fillStyle = 'white';
     context.textAlign = 'center';
     context.textBaseline = 'middle';
-    context.fillText(text, logicalWidth / 2, logicalHeight / 2);
+    context.fillText(text, logicalWidth / 2, bgY + padding + fontSize / 2);
+    if (details.length > 0) {
+      context.font = `400 ${detailFontSize}px ${fontFamily}`;
+      context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+      details.forEach((line, index) => {
+        const y = bgY + padding + fontSize + detailLineHeight * (index + 0.5);
+        context.fillText(line, logicalWidth / 2, y);
+      });
+    }
     context.restore();
-    if (!this.measurementTexture) {
-      this.measurementTexture = new THREE.CanvasTexture(this.measurementCanvas);
-      this.measurementTexture.minFilter = THREE.LinearFilter;
-      this.measurementTexture.magFilter = THREE.LinearFilter;
+    if (!label.texture) {
+      label.texture = new THREE.CanvasTexture(label.canvas);
+      label.texture.minFilter = THREE.LinearFilter;
+      label.texture.magFilter = THREE.LinearFilter;
+      if (label.sprite) {
+        label.sprite.material.map = label.texture;
+        label.sprite.material.needsUpdate = true;
+      }
     } else {
-      this.measurementTexture.needsUpdate = true;
+      label.texture.needsUpdate = true;
     }
-    if (!this.measurementSprite) {
+    if (!label.sprite) {
       const spriteMaterial = new THREE.SpriteMaterial({ 
-        map: this.measurementTexture,
+        map: label.texture,
         depthTest: false,
         depthWrite: false 
       });
-      this.measurementSprite = new THREE.Sprite(spriteMaterial);
+      label.sprite = new THREE.Sprite(spriteMaterial);
     }
     const baseScale = 0.3;
-    const spriteScale = baseScale * scaleFactor;
+    const spriteScale = baseScale * scaleFactor * (logicalHeight / baseLogicalHeight);
     const aspectRatio = logicalWidth / logicalHeight;
-    this.measurementSprite.scale.set(spriteScale * aspectRatio, spriteScale, 1);
-    return this.measurementSprite;
+    label.sprite.scale.set(spriteScale * aspectRatio, spriteScale, 1);
+    label.sprite.userData.isMeasurementLabel = true;
+    return label;
   }
 
   /**
@@ -610,7 +2530,7 @@ export class MeasurementSystem {
    * @since 1.0.0
    */
   attachVR({ controller1, controller2, controllerGrip1, controllerGrip2 }) {
-    
+    this._removeVRListeners();
     this.controller1 = controller1;
     this.controller2 = controller2;
     this.controllerGrip1 = controllerGrip1;
@@ -642,10 +2562,6 @@ export class MeasurementSystem {
       right: false
     };
 
-    this._onVRTriggerDown = this._onVRTriggerDown.bind(this);
-    this._onVRTriggerUp = this._onVRTriggerUp.bind(this);
-    this._onVRYButtonDown = this._onVRYButtonDown.bind(this);
-    this._onVRYButtonUp = this._onVRYButtonUp.bind(this);
     if (this.controller1 && this.controller2) {
       this.controller1.addEventListener('selectstart', this._onVRTriggerDown);
       this.controller1.addEventListener('selectend', this._onVRTriggerUp);
@@ -655,18 +2571,96 @@ export class MeasurementSystem {
       this.controller1.addEventListener('ybuttonup', this._onVRYButtonUp);
       this.controller2.addEventListener('ybuttondown', this._onVRYButtonDown);
       this.controller2.addEventListener('ybuttonup', this._onVRYButtonUp);
+      this.controller1.addEventListener('thumbstickdown', this._onVRThumbstickDown);
+      this.controller2.addEventListener('thumbstickdown', this._onVRThumbstickDown);
     }
     this.isVR = true;
     
     this.refreshMeasurementDisplayForVR();
   }
 
-  _onVRTriggerDown() {
+  /**
+   * Remove the VR listeners from the controllers they were added to
+   *
+   * @private
+   */
+  _removeVRListeners() {
+    if (!this.controller1 || !this.controller2) return;
+    this.controller1.removeEventListener('selectstart', this._onVRTriggerDown);
+    this.controller1.removeEventListener('selectend', this._onVRTriggerUp);
+    this.controller2.removeEventListener('selectstart', this._onVRTriggerDown);
+    this.controller2.removeEventListener('selectend', this._onVRTriggerUp);
+    this.controller1.removeEventListener('ybuttondown', this._onVRYButtonDown);
+    this.controller1.removeEventListener('ybuttonup', this._onVRYButtonUp);
+    this.controller2.removeEventListener('ybuttondown', this._onVRYButtonDown);
+    this.controller2.removeEventListener('ybuttonup', this._onVRYButtonUp);
+    this.controller1.removeEventListener('thumbstickdown', this._onVRThumbstickDown);
+    this.controller2.removeEventListener('thumbstickdown', this._onVRThumbstickDown);
+  }
+
+  _onVRTriggerDown(event) {
+    if (!this.measurementSystemEnabled) return;
+    const controller = event.target;
+    const tip = this._getControllerTipPosition(controller);
+
+    let index = -1;
+    let bestDistance = this.VR_GRAB_RADIUS;
+    this.unifiedMeasurementPoints.forEach(({ position }, i) => {
+      const distance = position.distanceTo(tip);
+      if (distance <= bestDistance) {
+        bestDistance = distance;
+        index = i;
+      }
+    });
+    if (index >= 0) {
+      this._vrGrab = { controller, index, start: tip, before: this._captureHistoryState(), moved: false };
+    }
+  }
+
+  _updateVRGrab() {
+    const grab = this._vrGrab;
+    const tip = this._getControllerTipPosition(grab.controller);
+    // Small wobbles while pulling the trigger should still count as a tap
+    if (!grab.moved && tip.distanceTo(grab.start) < this.POINT_PICK_RADIUS / 4) return;
+    grab.moved = true;
+    const snapped = this._snapPoint(tip, this.VR_SNAP_RADIUS);
+    this._moveMeasurementPoint(grab.index, snapped ? snapped.point : tip);
+  }
+
+  _getControllerTipPosition(controller) {
+    const position = new THREE.Vector3();
+    let ghostSphere = null;
+    if (controller === this.controller1 && this.ghostSpheres.left) {
+      ghostSphere = this.ghostSpheres.left;
+    } else if (controller === this.controller2 && this.ghostSpheres.right) {
+      ghostSphere = this.ghostSpheres.right;
+    }
+
+    if (ghostSphere) {
+      ghostSphere.getWorldPosition(position);
+    } else {
+      controller.getWorldPosition(position);
+      const forward = new THREE.Vector3(0, 0, -0.05);
+      forward.applyQuaternion(controller.quaternion);
+      position.add(forward);
+    }
+    return position;
   }
 
   _onVRTriggerUp(event) {
     const controller = event.target;
-    
+
+    if (this._vrGrab && this._vrGrab.controller === controller) {
+      const grab = this._vrGrab;
+      this._vrGrab = null;
+      if (grab.moved) {
+        this._recordHistory(grab.before);
+        this.updateUnifiedMeasurementSprite();
+        this.updateMeasurementPanel();
+        return;
+      }
+    }
+
     const now = performance.now();
     if (this.lastTriggerTime && (now - this.lastTriggerTime) < 200) {
       return;
@@ -674,32 +2668,31 @@ export class MeasurementSystem {
     this.lastTriggerTime = now;
     
     if (this.measurementSystemEnabled) {
-      const controllerPos = new THREE.Vector3();
-      
-      let ghostSphere = null;
-      if (controller === this.controller1 && this.ghostSpheres.left) {
-        ghostSphere = this.ghostSpheres.left;
-      } else if (controller === this.controller2 && this.ghostSpheres.right) {
-        ghostSphere = this.ghostSpheres.right;
-      }
-      
-      if (ghostSphere) {
-        ghostSphere.getWorldPosition(controllerPos);
-      } else {
-        controller.getWorldPosition(controllerPos);
-        const forward = new THREE.Vector3(0, 0, -0.05);
-        forward.applyQuaternion(controller.quaternion);
-        controllerPos.add(forward);
-      }
-      
-      this._placeVRMeasurementPoint(controllerPos);
+      const controllerPos = this._getControllerTipPosition(controller);
+
+      const snapped = this._snapPoint(controllerPos, this.VR_SNAP_RADIUS);
+      this._placeVRMeasurementPoint(snapped ? snapped.point : controllerPos);
     }
   }
 
   _onVRYButtonDown() {
+    if (this.unifiedMeasurementPoints.length > 0) {
+      this._recordHistory();
+    }
     this.clearUnifiedMeasurement();
   }
 
+  // Thumbstick presses step through the measurement history: left undoes, right redoes
+  _onVRThumbstickDown(event) {
+    if (!this.measurementSystemEnabled) return;
+    const handedness = event.handedness || (event.target && event.target.userData.handedness);
+    if (handedness === 'left') {
+      this.undo();
+    } else if (handedness === 'right') {
+      this.redo();
+    }
+  }
+
   _onVRYButtonUp() {
   }
 
@@ -709,16 +2702,20 @@ export class MeasurementSystem {
     const rayOrigin = new THREE.Vector3();
     const rayDirection = new THREE.Vector3(0, 0, -1).applyMatrix4(tempMatrix);
     controller.getWorldPosition(rayOrigin);
-    const raycaster = new THREE.Raycaster(rayOrigin, rayDirection.normalize());
+    const raycaster = this._configureRaycaster(new THREE.Raycaster(rayOrigin, rayDirection.normalize()));
     const intersects = raycaster.intersectObjects(this.scene.children, true);
     const validIntersects = intersects.filter(intersect => {
       const isUnifiedSphere = this.unifiedMeasurementPoints.some(point => point.sphere === intersect.object);
       const isUnifiedLine = intersect.object === this.unifiedMeasurementLine;
       const isMeasurementHelper = this.isMeasurementHelper(intersect.object);
       
-      return !isUnifiedSphere && !isUnifiedLine && !isMeasurementHelper;
+      return !isUnifiedSphere && !isUnifiedLine && !isMeasurementHelper && this._isDisplayed(intersect.object);
     });
-    return validIntersects.length > 0 ? validIntersects[0] : null;
+    if (validIntersects.length === 0) return null;
+
+    const intersect = this._resolveIntersection(validIntersects[0]);
+    const snapped = this._snapPoint(intersect.point, this.VR_SNAP_RADIUS);
+    return snapped ? { ...intersect, point: snapped.point, snapType: snapped.type } : intersect;
   }
 
   _placeVRMeasurementPoint(point) {
@@ -756,15 +2753,32 @@ export class MeasurementSystem {
    * @param {string} source - 'vr' or 'desktop' for tracking
    */
   placeUnifiedMeasurementPoint(point, source = 'unknown') {
-    
+    const { minPoints, maxPoints, closed } = MEASUREMENT_MODES[this.measurementMode];
+
+    this._recordHistory();
+
+    if (this.unifiedMeasurementFinished) {
+      this.clearUnifiedMeasurement();
+    }
 
     if (this.unifiedMeasurementPoints.length === 0) {
       this.clearLegacyVRMeasurement();
       this.clearLegacyDesktopMeasurement();
     }
-    
 
-    if (this.unifiedMeasurementPoints.length >= 2) {
+    // Placing a point on top of the last one (or the first one, for closed
+    // outlines) finishes an open-ended measurement
+    if (maxPoints === Infinity && this.unifiedMeasurementPoints.length >= minPoints) {
+      const firstPoint = this.unifiedMeasurementPoints[0];
+      const lastPoint = this.unifiedMeasurementPoints[this.unifiedMeasurementPoints.length - 1];
+      if (lastPoint.position.distanceTo(point) <= this.POINT_PICK_RADIUS ||
+          (closed && firstPoint.position.distanceTo(point) <= this.POINT_PICK_RADIUS)) {
+        this.finishMeasurement();
+        return;
+      }
+    }
+
+    if (this.unifiedMeasurementPoints.length >= maxPoints) {
       const oldestPoint = this.unifiedMeasurementPoints.shift();
       if (oldestPoint.sphere) this.scene.remove(oldestPoint.sphere);
     }
@@ -797,19 +2811,23 @@ export class MeasurementSystem {
 
     if (this.unifiedMeasurementLine) {
       this.scene.remove(this.unifiedMeasurementLine);
+      this.unifiedMeasurementLine.geometry.dispose();
       this.unifiedMeasurementLine = null;
     }
     
 
-    if (this.unifiedMeasurementPoints.length === 2) {
-      const point1 = this.unifiedMeasurementPoints[0].position;
-      const point2 = this.unifiedMeasurementPoints[1].position;
-      
+    if (this.unifiedMeasurementPoints.length >= 2) {
+      const positions = [];
+      this.unifiedMeasurementPoints.forEach(({ position }) => {
+        positions.push(position.x, position.y, position.z);
+      });
+      if (this.isClosedMeasurement()) {
+        const first = this.unifiedMeasurementPoints[0].position;
+        positions.push(first.x, first.y, first.z);
+      }
+
       const lineGeometry = new LineGeometry();
-      lineGeometry.setPositions([
-        point1.x, point1.y, point1.z,
-        point2.x, point2.y, point2.z
-      ]);
+      lineGeometry.setPositions(positions);
       
 
       this.unifiedMeasurementLine = new Line2(lineGeometry, this.desktopLineMaterial);
@@ -817,35 +2835,99 @@ export class MeasurementSystem {
       this.unifiedMeasurementLine.userData.isMeasurementLine = true;
       this.scene.add(this.unifiedMeasurementLine);
       
-
-      const distance = point1.distanceTo(point2);
-      this.createMeasurementDisplay(distance);
+      this.updateUnifiedMeasurementSprite();
       
-      if (this.measurementSprite) {
-        const midpoint = new THREE.Vector3();
-        midpoint.addVectors(point1, point2);
-        midpoint.multiplyScalar(0.5);
-        
-        const offsetScale = Math.max(0.05, Math.min(0.2, distance * 0.03));
-        midpoint.y += offsetScale;
-        
-        this.measurementSprite.position.copy(midpoint);
-        
 
-        if (!this.scene.children.includes(this.measurementSprite)) {
-          this.scene.add(this.measurementSprite);
-        }
-        
+      if (!this.desktopMeasurementMode) {
+        this.desktopMeasurementMode = true;
+      }
+    }
+  }
+
+  /**
+   * Draw the current measurement label and position it above the last
+   * segment, or above the centre of a closed outline
+   */
+  updateUnifiedMeasurementSprite() {
+    if (this.unifiedMeasurementPoints.length < 2) return;
+
+    const { size, text, details, position } = this._getMeasurementLabel(this.measurementMode, this._getUnifiedPositions(), this._liveVolumeWhen());
+    this.createMeasurementDisplay(size, text, details);
 
-        const inVR = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
-        this.measurementSprite.visible = inVR || this.showMeasurementLabels;
+    if (this.measurementSprite) {
+      this.measurementSprite.position.copy(position);
+
+
+      if (!this.scene.children.includes(this.measurementSprite)) {
+        this.scene.add(this.measurementSprite);
       }
-      
 
-      if (!this.desktopMeasurementMode) {
-        this.desktopMeasurementMode = true;
+
+      const inVR = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
+      this.measurementSprite.visible = inVR || this.showMeasurementLabels;
+    }
+  }
+
+  /**
+   * Work out the label text and placement for a set of points in a given mode
+   *
+   * @private
+   * @param {string} mode - Measurement mode
+   * @param {THREE.Vector3[]} positions - World positions in placement order
+   * @param {string} [volumeWhen='later'] - When to compute a missing volume (see _measure)
+   * @returns {{size: number, text: string, details: string[], position: THREE.Vector3}}
+   */
+  _getMeasurementLabel(mode, positions, volumeWhen = 'later') {
+    const count = positions.length;
+    const point1 = positions[count - 2];
+    const point2 = positions[count - 1];
+    const { segments, length, area, angle, heightDifference, volume } = this._measure(mode, positions, undefined, undefined, volumeWhen);
+    // Readouts are calibrated, but label size and offset follow the scene geometry
+    const scale = this.getScaleFactor();
+    const position = new THREE.Vector3();
+    let size, text;
+    let details = [];
+    let offsetScale;
+
+    if (angle && mode === 'angle') {
+      // Label the vertex the angle is measured at, sized by the shorter arm
+      size = Math.min(...segments) / scale;
+      text = this.formatAngle(angle.angle);
+      position.copy(positions[1]);
+      offsetScale = Math.max(0.05, Math.min(0.2, size * 0.03));
+    } else if (angle) {
+      size = length / scale;
+      text = this.formatBearing(angle);
+      position.addVectors(point1, point2).multiplyScalar(0.5);
+      offsetScale = Math.max(0.05, Math.min(0.2, size * 0.03));
+    } else if (area) {
+      // Label size follows the outline's linear extent rather than its perimeter
+      size = Math.sqrt(area.bestFit) / scale;
+      text = `Best-fit ${this.formatArea(area.bestFit)}`;
+      if (volume && volume.pending) {
+        details = [`Plan ${this.formatArea(area.plan)}`, this._pendingVolumeText(volumeWhen)];
+      } else if (volume) {
+        text = `Cut ${this.formatVolume(volume.cut)}`;
+        details = [`Fill ${this.formatVolume(volume.fill)}  Plan ${this.formatArea(area.plan)}`];
+      }
+      position.copy(MeasurementGeometry.centroid(positions));
+      offsetScale = Math.max(0.05, Math.min(0.2, size * 0.03));
+    } else {
+      if (heightDifference) {
+        details = [
+          `H ${this.formatDistance(heightDifference.horizontal)}  ` +
+          `V ${this.formatVerticalDistance(heightDifference.vertical)}  ` +
+          `${this.formatSlope(heightDifference.slope)}`
+        ];
       }
+      size = length / scale;
+      text = this.formatDistance(length);
+      position.addVectors(point1, point2).multiplyScalar(0.5);
+      offsetScale = Math.max(0.05, Math.min(0.2, point1.distanceTo(point2) * 0.03));
     }
+
+    position.y += offsetScale;
+    return { size, text, details, position };
   }
 
   /**
@@ -891,11 +2973,28 @@ export class MeasurementSystem {
     }
     
 
+    if (this._vrGrab) {
+      this._updateVRGrab();
+    }
+
+    if (this.snapping && this.isVR && this.ghostSpheres && this.measurementSystemEnabled) {
+      this._updateVRSnapPreview();
+    }
+
     if (this.measurementSprite) {
       const inVR = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
-      const hasUnifiedMeasurement = this.unifiedMeasurementPoints && this.unifiedMeasurementPoints.length === 2;
+      const hasUnifiedMeasurement = this.unifiedMeasurementPoints && this.hasCompleteMeasurement();
       this.measurementSprite.visible = hasUnifiedMeasurement && (inVR || this.showMeasurementLabels);
     }
+
+    if (this.measurements.length > 0) {
+      const inVR = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
+      this.measurements.forEach(record => {
+        if (record.label3D.sprite) {
+          record.label3D.sprite.visible = record.visible && (inVR || this.showMeasurementLabels);
+        }
+      });
+    }
   }
 
 
@@ -920,22 +3019,23 @@ export class MeasurementSystem {
       this.measurementPanel.parentNode.removeChild(this.measurementPanel);
       this.measurementPanel = null;
     }
+    if (this.profileOverlay && this.profileOverlay.parentNode) {
+      this.profileOverlay.parentNode.removeChild(this.profileOverlay);
+    }
+    this.profileOverlay = null;
+    this._profile = null;
+    if (this.measurementList && this.measurementList.parentNode) {
+      this.measurementList.parentNode.removeChild(this.measurementList);
+    }
+    this.measurementList = null;
 
     this.renderer.domElement.removeEventListener('click', this._boundOnMouseClick, false);
     this.renderer.domElement.removeEventListener('mousedown', this._boundOnMouseDown, false);
     this.renderer.domElement.removeEventListener('mousemove', this._boundOnMouseMove, false);
     this.renderer.domElement.removeEventListener('mouseup', this._boundOnMouseUp, false);
+    this._keyTarget.removeEventListener('keydown', this._boundOnKeyDown, false);
 
-    if (this.controller1 && this.controller2) {
-      this.controller1.removeEventListener('selectstart', this._onVRTriggerDown);
-      this.controller1.removeEventListener('selectend', this._onVRTriggerUp);
-      this.controller2.removeEventListener('selectstart', this._onVRTriggerDown);
-      this.controller2.removeEventListener('selectend', this._onVRTriggerUp);
-      this.controller1.removeEventListener('ybuttondown', this._onVRYButtonDown);
-      this.controller1.removeEventListener('ybuttonup', this._onVRYButtonUp);
-      this.controller2.removeEventListener('ybuttondown', this._onVRYButtonDown);
-      this.controller2.removeEventListener('ybuttonup', this._onVRYButtonUp);
-    }
+    this._removeVRListeners();
 
     this.clearLegacyDesktopMeasurement();
     this.clearVRMeasurement();
@@ -953,6 +3053,26 @@ export class MeasurementSystem {
       this.connectionLine = null;
     }
     this.measurementSpheres = [];
+    if (this._snapPreviewFrame) {
+      cancelAnimationFrame(this._snapPreviewFrame);
+      this._snapPreviewFrame = null;
+    }
+    if (this.snapIndicator) {
+      this.scene.remove(this.snapIndicator);
+      this.snapIndicator.material.dispose();
+      this.snapIndicator = null;
+    }
+    this.snapper.clear();
+    this._volumeCache.clear();
+    this._pendingVolumes.clear();
+    if (this._volumeTimer !== null) {
+      clearTimeout(this._volumeTimer);
+      this._volumeTimer = null;
+    }
+    this.measurements.forEach(record => this._disposeMeasurementObjects(record));
+    this.measurements = [];
+    this.storedMeasurements.clear();
+    this.removeAllListeners();
     this.isVR = false;
     
 
@@ -966,7 +3086,24 @@ export class MeasurementSystem {
     // panel.id removed for BEM compliance
     panel.className = `measurement-panel${this.theme === 'light' ? ' light-theme' : ''}`;
     
-    panel.addEventListener('click', () => {
+    panel.addEventListener('click', (event) => {
+      const action = event.target && event.target.closest && event.target.closest('[data-action]');
+      if (action) {
+        if (action.dataset.action === 'save') {
+          this.saveMeasurement();
+          this.updateMeasurementPanel();
+        } else if (action.dataset.action === 'profile') {
+          this.showProfile();
+        } else if (action.dataset.action === 'calibrate') {
+          const { symbol } = MEASUREMENT_UNITS[this.units];
+          const current = this.convertLength(this.getMeasurementLength()).toFixed(this._getPrecision() + 1);
+          const input = window.prompt(`True length of the measured reference (${symbol}):`, current);
+          if (input !== null) {
+            this.calibrate(parseFloat(input) / MEASUREMENT_UNITS[this.units].perMetre);
+          }
+        }
+        return;
+      }
       if (!(this.renderer && this.renderer.xr && this.renderer.xr.isPresenting)) {
 
         this.desktopMeasurementMode = !this.desktopMeasurementMode;
@@ -1000,6 +3137,90 @@ export class MeasurementSystem {
     this.measurementPanel = panel;
   }
 
+  /**
+   * Create the sidebar listing saved measurements
+   *
+   * Each entry has an editable name and colour, a show/hide toggle, a fly-to
+   * button and a delete button. Called by the constructor when
+   * `showMeasurementList` is enabled.
+   *
+   * @method createMeasurementList
+   * @returns {void}
+   *
+   * @since 1.1.0
+   */
+  createMeasurementList() {
+    if (this.measurementList) return;
+    const list = document.createElement('div');
+    list.className = `measurement-list${this.theme === 'light' ? ' light-theme' : ''}`;
+
+    list.addEventListener('click', (event) => {
+      const action = event.target && event.target.closest && event.target.closest('[data-action]');
+      const item = action && action.closest('[data-id]');
+      if (!item) return;
+      const id = item.dataset.id;
+      const record = this.measurements.find(existing => existing.id === id);
+      if (!record) return;
+      if (action.dataset.action === 'toggle') {
+        this.updateMeasurement(id, { visible: !record.visible });
+      } else if (action.dataset.action === 'focus') {
+        this.focusMeasurement(id);
+      } else if (action.dataset.action === 'delete') {
+        this.removeMeasurement(id);
+      }
+    });
+    list.addEventListener('change', (event) => {
+      const item = event.target && event.target.closest && event.target.closest('[data-id]');
+      if (!item) return;
+      if (event.target.dataset.field === 'label') {
+        this.updateMeasurement(item.dataset.id, { label: event.target.value.trim() });
+      } else if (event.target.dataset.field === 'color') {
+        this.updateMeasurement(item.dataset.id, { color: event.target.value });
+      }
+    });
+    // Keep typing in the name field from triggering measurement shortcuts
+    list.addEventListener('keydown', (event) => event.stopPropagation());
+
+    const parent = (this.renderer && this.renderer.domElement && this.renderer.domElement.parentElement) || document.body;
+    parent.appendChild(list);
+    this.measurementList = list;
+  }
+
+  /**
+   * Redraw the saved measurement list
+   *
+   * @method updateMeasurementList
+   * @returns {void}
+   *
+   * @since 1.1.0
+   */
+  updateMeasurementList() {
+    const list = this.measurementList;
+    if (!list) return;
+    if (this.measurements.length === 0) {
+      list.style.display = 'none';
+      list.innerHTML = '';
+      return;
+    }
+
+    const escape = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    const items = this.measurements.map((record, index) => {
+      const { text } = this._getMeasurementLabel(record.mode, record.positions);
+      const placeholder = `${record.mode.charAt(0).toUpperCase()}${record.mode.slice(1)} ${index + 1}`;
+      return `
+        <li class="measurement-list__item${record.visible ? '' : ' measurement-list__item--hidden'}" data-id="${escape(record.id)}">
+          <input type="color" class="measurement-list__color" data-field="color" value="${record.color || '#ffffff'}" aria-label="Measurement colour">
+          <input type="text" class="measurement-list__name" data-field="label" value="${escape(record.label)}" placeholder="${escape(placeholder)}" aria-label="Measurement name">
+          <span class="measurement-list__value">${escape(text)}</span>
+          <button type="button" class="measurement-list__button" data-action="toggle" title="${record.visible ? 'Hide' : 'Show'}">${record.visible ? 'Hide' : 'Show'}</button>
+          <button type="button" class="measurement-list__button" data-action="focus" title="Fly to">Go</button>
+          <button type="button" class="measurement-list__button" data-action="delete" title="Delete" aria-label="Delete measurement">×</button>
+        </li>`;
+    }).join('');
+    list.innerHTML = `<div class="measurement-list__title">Measurements</div><ul>${items}</ul>`;
+    list.style.display = '';
+  }
+
   updateMeasurementPanel() {
     const panel = this.measurementPanel;
     if (!panel) return;
@@ -1007,13 +3228,35 @@ export class MeasurementSystem {
     
 
     const hasPoints = this.unifiedMeasurementPoints ? this.unifiedMeasurementPoints.length : 0;
-    const hasMeasurement = hasPoints === 2;
+    const hasMeasurement = this.hasCompleteMeasurement();
+    const isPolyline = this.measurementMode === 'polyline';
+    const area = this.getMeasurementArea();
+    const volumeWhen = this._liveVolumeWhen();
+    const volume = this._measure(this.measurementMode, this._getUnifiedPositions(), undefined, undefined, volumeWhen).volume;
+    const angle = this.getMeasurementAngle();
     
     const isEnabled = isVR ? this.measurementSystemEnabled : this.desktopMeasurementMode;
+    let panelActions = '';
+    let coordinates = '';
+    const gridPoints = isVR ? null : this.getMeasurementGridPoints();
+    if (gridPoints && gridPoints.length > 0) {
+      // Real-world position of the last placed point
+      coordinates = `<div class="measurement-panel__coords">${Georeference.format(gridPoints[gridPoints.length - 1])}</div>`;
+    }
+    if (!isVR) {
+      const canCalibrate = this.measurementMode === 'distance' || this.measurementMode === 'polyline';
+      const canProfile = this.measurementMode === 'distance' || this.measurementMode === 'bearing';
+      const scale = this.getScaleFactor();
+      panelActions = `${coordinates}
+        ${scale !== 1 ? `<div class="measurement-panel__scale">Scale ×${scale.toFixed(4)}</div>` : ''}
+        <button type="button" class="measurement-panel__action" data-action="save">Save</button>
+        ${canCalibrate ? '<button type="button" class="measurement-panel__action" data-action="calibrate">Calibrate</button>' : ''}
+        ${canProfile ? '<button type="button" class="measurement-panel__action" data-action="profile">Profile</button>' : ''}`;
+    }
     
     let distance;
     if (hasMeasurement) {
-      distance = this.unifiedMeasurementPoints[0].position.distanceTo(this.unifiedMeasurementPoints[1].position);
+      distance = this.getMeasurementLength();
     }
     
 
@@ -1025,18 +3268,107 @@ export class MeasurementSystem {
         <div>MEASURE</div>
         <div style="font-size: 12px; margin-top: 4px;">Click to enable</div>
       `;
+    } else if (angle && this.measurementMode === 'angle') {
+      panel.classList.add('measured');
+      const arms = this.getMeasurementSegments().map(length => this.formatDistance(length)).join(' / ');
+      panel.innerHTML = `
+        <div>${this.formatAngle(angle.angle)}</div>
+        <div class="measurement-panel__segments">
+          <div>Arms: ${arms}</div>
+        </div>
+        ${panelActions}
+        <div style="font-size: 12px; margin-top: 4px;">Click to disable</div>
+      `;
+    } else if (angle) {
+      panel.classList.add('measured');
+      panel.innerHTML = `
+        <div>${this.formatAngle(angle.bearing)}</div>
+        <div class="measurement-panel__segments">
+          <div>Inclination: ${angle.inclination >= 0 ? '+' : ''}${this.formatAngle(angle.inclination)}</div>
+          <div>Length: ${this.formatDistance(distance)}</div>
+        </div>
+        ${panelActions}
+        <div style="font-size: 12px; margin-top: 4px;">Click to disable</div>
+      `;
+    } else if (volume) {
+      panel.classList.add('measured');
+      const instruction = this.unifiedMeasurementFinished
+        ? 'Click to disable'
+        : `${isVR ? 'Trigger' : 'Click'} first point to close`;
+      const base = typeof this.volumeBase === 'number'
+        ? `height ${this.formatVerticalDistance(this.volumeBase)}`
+        : { fit: 'best-fit plane', lowest: 'lowest point', highest: 'highest point' }[this.volumeBase];
+      const coverage = !volume.pending && volume.coverage < 0.95
+        ? `<div>Mesh covers ${Math.round(volume.coverage * 100)}% of outline</div>`
+        : '';
+      let readout = `<div>Cut ${this.formatVolume(volume.cut)} / Fill ${this.formatVolume(volume.fill)}</div>`;
+      if (volume.pending) {
+        readout = `<div>${this._pendingVolumeText(volumeWhen)}</div>`;
+      }
+      panel.innerHTML = `
+        ${readout}
+        <div class="measurement-panel__segments">
+          ${volume.pending ? '' : `<div>Net: ${this.formatVolume(volume.net)}</div>`}
+          <div>Plan: ${this.formatArea(area.plan)}</div>
+          <div>Base: ${base}</div>
+          ${coverage}
+        </div>
+        ${panelActions}
+        <div style="font-size: 12px; margin-top: 4px;">${instruction}</div>
+      `;
+    } else if (area) {
+      panel.classList.add('measured');
+      const instruction = this.unifiedMeasurementFinished
+        ? 'Click to disable'
+        : `${isVR ? 'Trigger' : 'Click'} first point to close`;
+      panel.innerHTML = `
+        <div>Best-fit area: ${this.formatArea(area.bestFit)}</div>
+        <div class="measurement-panel__segments">
+          <div>Plan: ${this.formatArea(area.plan)}</div>
+          <div>Perimeter: ${this.formatDistance(distance)}</div>
+        </div>
+        ${panelActions}
+        <div style="font-size: 12px; margin-top: 4px;">${instruction}</div>
+      `;
+    } else if (hasMeasurement && isPolyline) {
+      panel.classList.add('measured');
+      const segments = this.getMeasurementSegments()
+        .map((length, index) => `<div>${index + 1}: ${this.formatDistance(length)}</div>`)
+        .join('');
+      const instruction = this.unifiedMeasurementFinished
+        ? 'Click to disable'
+        : `${isVR ? 'Trigger' : 'Click'} last point to finish`;
+      panel.innerHTML = `
+        <div>${this.formatDistance(distance)}</div>
+        <div class="measurement-panel__segments">${segments}</div>
+        ${panelActions}
+        <div style="font-size: 12px; margin-top: 4px;">${instruction}</div>
+      `;
     } else if (hasMeasurement) {
       panel.classList.add('measured');
+      const heightDifference = this.getMeasurementHeightDifference();
+      const breakdown = heightDifference ? `
+        <div class="measurement-panel__segments">
+          <div>Horizontal: ${this.formatDistance(heightDifference.horizontal)}</div>
+          <div>Vertical: ${this.formatVerticalDistance(heightDifference.vertical)}</div>
+          <div>Slope: ${this.formatSlope(heightDifference.slope)}</div>
+        </div>` : '';
       panel.innerHTML = `
-        <div>${distance.toFixed(2)}m</div>
+        <div>${this.formatDistance(distance)}</div>${breakdown}
+        ${panelActions}
         <div style="font-size: 12px; margin-top: 4px;">Click to disable</div>
       `;
     } else {
       panel.classList.add('active');
       const instruction = isVR ? 'Use triggers' : 'Click points';
+      const { minPoints } = MEASUREMENT_MODES[this.measurementMode];
+      const history = isVR
+        ? 'Press left stick to undo, right stick to redo'
+        : 'Ctrl+Z to undo, Ctrl+Shift+Z to redo';
       panel.innerHTML = `
-        <div>MEASURE: ON</div>
-        <div style="font-size: 12px; margin-top: 4px;">${instruction} (${hasPoints}/2)</div>
+        <div>MEASURE: ON</div>${coordinates}
+        <div style="font-size: 12px; margin-top: 4px;">${instruction} (${hasPoints}/${minPoints})</div>
+        <div style="font-size: 11px; opacity: 0.7;">${history}</div>
       `;
     }
   }
@@ -1046,6 +3378,23 @@ export class MeasurementSystem {
     this.isDragging = false;
     this.dragStartPosition.x = event.clientX;
     this.dragStartPosition.y = event.clientY;
+
+    if (!this.desktopMeasurementMode || event.button !== 0) return;
+    const index = this._pickMeasurementPoint(event);
+    if (index >= 0) {
+      // Hold the camera still while a point is being dragged
+      this._dragPoint = {
+        index,
+        before: this._captureHistoryState(),
+        moved: false,
+        controlsEnabled: this.controls ? this.controls.enabled : undefined
+      };
+      if (this.controls) this.controls.enabled = false;
+      // Releasing outside the canvas must still end the drag
+      if (typeof window !== 'undefined') {
+        window.addEventListener('mouseup', this._boundOnMouseUp, { once: true });
+      }
+    }
   }
   onMouseMove(event) {
     if (!this.isDragging) {
@@ -1055,8 +3404,34 @@ export class MeasurementSystem {
         this.isDragging = true;
       }
     }
+    if (this._dragPoint && this.isDragging) {
+      const pick = this._pickDesktopIntersection(event);
+      if (pick) {
+        const radius = this.snapping ? this._getSnapRadius(pick.camera, pick.intersect.point) : 0;
+        const snapped = this._snapPoint(pick.intersect.point, radius);
+        this._dragPoint.moved = true;
+        this._moveMeasurementPoint(this._dragPoint.index, snapped ? snapped.point : pick.intersect.point);
+      }
+      return;
+    }
+    if (this.snapping) {
+      // Raycasting dense meshes is costly, so preview at most once per frame
+      this._snapPreviewEvent = event;
+      if (!this._snapPreviewFrame) {
+        this._snapPreviewFrame = requestAnimationFrame(() => {
+          this._snapPreviewFrame = null;
+          this._updateSnapPreview(this._snapPreviewEvent);
+        });
+      }
+    }
   }
   onMouseUp(_event) {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('mouseup', this._boundOnMouseUp, { once: true });
+    }
+    if (this._dragPoint) {
+      this._endPointDrag();
+    }
     setTimeout(() => {
       this.isDragging = false;
     }, 10);
@@ -1080,6 +3455,59 @@ export class MeasurementSystem {
       event.preventDefault();
     }
 
+    const pick = this._pickDesktopIntersection(event);
+    if (pick) {
+      if (isDoubleClick) {
+        this.focusOnPoint(pick.intersect.point);
+      } else {
+        const radius = this.snapping ? this._getSnapRadius(pick.camera, pick.intersect.point) : 0;
+        const snapped = this._snapPoint(pick.intersect.point, radius);
+        this.placeUnifiedMeasurementPoint(snapped ? snapped.point : pick.intersect.point, 'desktop');
+      }
+    }
+  }
+
+  /**
+   * Raycast from the mouse position against the measurement targets
+   *
+   * @private
+   * @param {MouseEvent} event - Pointer event with client coordinates
+   * @returns {{intersect: Object, camera: THREE.Camera}|null} Nearest model hit and the camera used
+   */
+  _pickDesktopIntersection(event) {
+    const camera = this._setPointerRay(event);
+    if (!camera) {
+      return null;
+    }
+
+    const raycastTargets = (this._raycastTargets && this._raycastTargets.length > 0) ? this._raycastTargets : [];
+    if (raycastTargets.length === 0) {
+      return null;
+    }
+    const intersects = this._configureRaycaster(this.raycaster).intersectObjects(raycastTargets, true);
+
+    if (intersects.length === 0) {
+      return null;
+    }
+
+    const validIntersects = intersects.filter(intersect => {
+      const isUnifiedSphere = this.unifiedMeasurementPoints.some(point => point.sphere === intersect.object);
+      const isUnifiedLine = intersect.object === this.unifiedMeasurementLine;
+      const isMeasurementHelper = this.isMeasurementHelper(intersect.object);
+      
+      return !isUnifiedSphere && !isUnifiedLine && !isMeasurementHelper && this._isDisplayed(intersect.object);
+    });
+    return validIntersects.length > 0 ? { intersect: this._resolveIntersection(validIntersects[0]), camera } : null;
+  }
+
+  /**
+   * Aim the shared raycaster through the mouse position
+   *
+   * @private
+   * @param {MouseEvent} event - Pointer event with client coordinates
+   * @returns {THREE.Camera|null} Camera the ray was cast from, or null if none is usable
+   */
+  _setPointerRay(event) {
     const rect = this.renderer.domElement.getBoundingClientRect();
     this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
@@ -1111,36 +3539,66 @@ export class MeasurementSystem {
     }
 
     if (!camera || (!camera.isPerspectiveCamera && !camera.isOrthographicCamera && camera.type !== 'ArrayCamera')) {
-      return;
+      return null;
     }
 
     this.raycaster.setFromCamera(this.mouse, camera);
+    return camera;
+  }
 
-    const raycastTargets = (this._raycastTargets && this._raycastTargets.length > 0) ? this._raycastTargets : [];
-    if (raycastTargets.length === 0) {
-      return;
-    }
-    const intersects = this.raycaster.intersectObjects(raycastTargets, true);
-
-    if (intersects.length === 0) {
-      return;
-    }
-
-    const validIntersects = intersects.filter(intersect => {
-      const isUnifiedSphere = this.unifiedMeasurementPoints.some(point => point.sphere === intersect.object);
-      const isUnifiedLine = intersect.object === this.unifiedMeasurementLine;
-      const isMeasurementHelper = this.isMeasurementHelper(intersect.object);
-      
-      return !isUnifiedSphere && !isUnifiedLine && !isMeasurementHelper;
+  /**
+   * Find the live measurement point under the mouse
+   *
+   * @private
+   * @param {MouseEvent} event - Pointer event with client coordinates
+   * @returns {number} Index of the nearest point within the pick tolerance, or -1
+   */
+  _pickMeasurementPoint(event) {
+    if (this.unifiedMeasurementPoints.length === 0) return -1;
+    const camera = this._setPointerRay(event);
+    if (!camera) return -1;
+
+    let bestIndex = -1;
+    let bestDistance = Infinity;
+    this.unifiedMeasurementPoints.forEach(({ position }, index) => {
+      const tolerance = Math.max(this.POINT_PICK_RADIUS, this._getSnapRadius(camera, position, this.POINT_DRAG_PIXELS));
+      const distance = this.raycaster.ray.distanceToPoint(position);
+      if (distance <= tolerance && distance < bestDistance) {
+        bestDistance = distance;
+        bestIndex = index;
+      }
     });
-    if (validIntersects.length > 0) {
-      if (isDoubleClick) {
-        this.focusOnPoint(validIntersects[0].point);
-      } else {
+    return bestIndex;
+  }
 
-        const intersectionPoint = validIntersects[0].point;
-        this.placeUnifiedMeasurementPoint(intersectionPoint, 'desktop');
-      }
+  /**
+   * Move a live measurement point and refresh the line, label and panel
+   *
+   * @private
+   * @param {number} index - Index of the point to move
+   * @param {THREE.Vector3} position - New world position
+   * @returns {void}
+   */
+  _moveMeasurementPoint(index, position) {
+    const point = this.unifiedMeasurementPoints[index];
+    if (!point) return;
+    point.position.copy(position);
+    if (point.sphere) point.sphere.position.copy(position);
+    this.updateUnifiedMeasurementLine();
+    this.updateMeasurementPanel();
+  }
+
+  _endPointDrag() {
+    const drag = this._dragPoint;
+    this._dragPoint = null;
+    if (this.controls && drag.controlsEnabled !== undefined) {
+      this.controls.enabled = drag.controlsEnabled;
+    }
+    if (drag.moved) {
+      this._recordHistory(drag.before);
+      // Volumes wait for the point to be let go
+      this.updateUnifiedMeasurementSprite();
+      this.updateMeasurementPanel();
     }
   }
 
@@ -1212,35 +3670,9 @@ export class MeasurementSystem {
    * Called when VR mode is activated to ensure sprite is visible
    */
   refreshMeasurementDisplayForVR() {
-    if (this.unifiedMeasurementPoints && this.unifiedMeasurementPoints.length === 2) {
-      const point1 = this.unifiedMeasurementPoints[0].position;
-      const point2 = this.unifiedMeasurementPoints[1].position;
-      const distance = point1.distanceTo(point2);
-      
-
-      this.createMeasurementDisplay(distance);
-      
-      if (this.measurementSprite) {
-        const midpoint = new THREE.Vector3();
-        midpoint.addVectors(point1, point2);
-        midpoint.multiplyScalar(0.5);
-        
-        const offsetScale = Math.max(0.05, Math.min(0.2, distance * 0.03));
-        midpoint.y += offsetScale;
-        
-        this.measurementSprite.position.copy(midpoint);
-        
-
-        if (!this.scene.children.includes(this.measurementSprite)) {
-          this.scene.add(this.measurementSprite);
-        }
-        
-
-        const inVR = this.renderer && this.renderer.xr && this.renderer.xr.isPresenting;
-        this.measurementSprite.visible = inVR || this.showMeasurementLabels;
-      }
+    if (this.unifiedMeasurementPoints && this.hasCompleteMeasurement()) {
+      this.updateUnifiedMeasurementSprite();
     }
   }
 
-
 }
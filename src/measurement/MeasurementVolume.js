@@ -0,0 +1,274 @@
+import * as THREE from 'three';
+import { MeasurementGeometry } from './MeasurementGeometry.js';
+
+// Grid resolution along the longest side of the outline's plan bounds
+const GRID_CELLS = 128;
+// Triangle grid resolution along the longest side of a geometry's bounding box
+const TRIANGLE_GRID_CELLS = 64;
+
+// Triangle grids per geometry, built on first use and kept for the geometry's lifetime
+const triangleGrids = new WeakMap();
+
+/**
+ * MeasurementVolume - Cut and fill volumes inside a closed outline
+ *
+ * Rasterises the top surface of the meshes into a height grid over the
+ * outline's plan bounds, as a survey DEM would, then sums each cell's height
+ * above the base plane as cut and its depth below the plane as fill. Cells
+ * the mesh does not cover are left out and reported through `coverage`.
+ * Each geometry's triangles are bucketed into a grid the first time it is
+ * measured, so only the triangles near an outline are rasterised.
+ *
+ * @class MeasurementVolume
+ * @since 1.1.0
+ */
+export class MeasurementVolume {
+  /**
+   * Resolve a base plane for an outline
+   *
+   * @param {THREE.Vector3[]} outline - Outline points in world space
+   * @param {string|number} [base='fit'] - 'fit' for the least-squares plane
+   *   through the outline, 'lowest' or 'highest' for a horizontal plane
+   *   through the lowest or highest outline point, or a world height
+   * @returns {{a: number, b: number, c: number}} Plane as y = a·x + b·z + c
+   */
+  static basePlane(outline, base = 'fit') {
+    if (typeof base === 'number') {
+      return { a: 0, b: 0, c: base };
+    }
+    if (base === 'lowest' || base === 'highest') {
+      const heights = outline.map(point => point.y);
+      return { a: 0, b: 0, c: base === 'lowest' ? Math.min(...heights) : Math.max(...heights) };
+    }
+    return MeasurementGeometry.fitPlane(outline);
+  }
+
+  /**
+   * Compute cut and fill volumes of meshes inside an outline
+   *
+   * @param {THREE.Vector3[]} outline - Closed outline in world space, not repeated at the end
+   * @param {THREE.Mesh[]} meshes - Meshes whose top surface is measured
+   * @param {Object} [options={}] - Volume options
+   * @param {string|number} [options.base='fit'] - Base plane (see basePlane)
+   * @param {number} [options.resolution=128] - Grid cells along the longest side of the outline
+   * @returns {{cut: number, fill: number, net: number, coverage: number, plane: {a: number, b: number, c: number}}}
+   *   Volume of surface above the plane (cut) and of space between the plane
+   *   and the surface below it (fill) in cubic world units, cut minus fill,
+   *   and the fraction of the outline's grid cells covered by the mesh
+   */
+  static compute(outline, meshes, { base = 'fit', resolution = GRID_CELLS } = {}) {
+    const plane = MeasurementVolume.basePlane(outline, base);
+    const result = { cut: 0, fill: 0, net: 0, coverage: 0, plane };
+    if (outline.length < 3 || MeasurementGeometry.planArea(outline) === 0) return result;
+
+    const bounds = new THREE.Box3().setFromPoints(outline);
+    const cellSize = Math.max(bounds.max.x - bounds.min.x, bounds.max.z - bounds.min.z) / Math.max(1, Math.floor(resolution));
+    const columns = Math.max(1, Math.ceil((bounds.max.x - bounds.min.x) / cellSize));
+    const rows = Math.max(1, Math.ceil((bounds.max.z - bounds.min.z) / cellSize));
+    const heights = new Float64Array(columns * rows).fill(-Infinity);
+
+    const meshBounds = new THREE.Box3();
+    const column = new THREE.Box3();
+    const inverse = new THREE.Matrix4();
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+
+    meshes.forEach(mesh => {
+      const geometry = mesh.geometry;
+      const position = geometry && geometry.attributes.position;
+      if (!position) return;
+      if (!geometry.boundingBox) {
+        geometry.computeBoundingBox();
+      }
+      meshBounds.copy(geometry.boundingBox).applyMatrix4(mesh.matrixWorld);
+      if (meshBounds.max.x < bounds.min.x || meshBounds.min.x > bounds.max.x ||
+          meshBounds.max.z < bounds.min.z || meshBounds.min.z > bounds.max.z) {
+        return;
+      }
+
+      // The outline's plan bounds as a column through the mesh, in the mesh's own frame
+      column.min.set(bounds.min.x, meshBounds.min.y, bounds.min.z);
+      column.max.set(bounds.max.x, meshBounds.max.y, bounds.max.z);
+      column.applyMatrix4(inverse.copy(mesh.matrixWorld).invert());
+
+      const index = geometry.index;
+      const triangles = MeasurementVolume._queryTriangles(MeasurementVolume._getTriangleGrid(geometry), column);
+      for (const i of triangles) {
+        a.fromBufferAttribute(position, index ? index.getX(i * 3) : i * 3).applyMatrix4(mesh.matrixWorld);
+        b.fromBufferAttribute(position, index ? index.getX(i * 3 + 1) : i * 3 + 1).applyMatrix4(mesh.matrixWorld);
+        c.fromBufferAttribute(position, index ? index.getX(i * 3 + 2) : i * 3 + 2).applyMatrix4(mesh.matrixWorld);
+        MeasurementVolume._rasterise(a, b, c, bounds.min, cellSize, columns, rows, heights);
+      }
+    });
+
+    const cellArea = cellSize * cellSize;
+    let inside = 0;
+    let covered = 0;
+    for (let row = 0; row < rows; row++) {
+      const z = bounds.min.z + (row + 0.5) * cellSize;
+      for (let column = 0; column < columns; column++) {
+        const x = bounds.min.x + (column + 0.5) * cellSize;
+        if (!MeasurementGeometry.containsPlanPoint(x, z, outline)) continue;
+        inside++;
+        const height = heights[row * columns + column];
+        if (height === -Infinity) continue;
+        covered++;
+        const difference = height - (plane.a * x + plane.b * z + plane.c);
+        if (difference >= 0) {
+          result.cut += difference * cellArea;
+        } else {
+          result.fill -= difference * cellArea;
+        }
+      }
+    }
+
+    result.net = result.cut - result.fill;
+    result.coverage = inside > 0 ? covered / inside : 0;
+    return result;
+  }
+
+  /**
+   * Bucket a geometry's triangles into a uniform grid over its bounding box
+   *
+   * Stored compactly: the triangles of cell `n` are
+   * `triangles[cellStart[n]]` to `triangles[cellStart[n + 1] - 1]`.
+   *
+   * @private
+   */
+  static _getTriangleGrid(geometry) {
+    let grid = triangleGrids.get(geometry);
+    if (grid) return grid;
+
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const triangleCount = Math.floor((index ? index.count : position.count) / 3);
+    const box = geometry.boundingBox;
+    const size = box.getSize(new THREE.Vector3());
+    const cellSize = Math.max(size.x, size.y, size.z) / TRIANGLE_GRID_CELLS || 1;
+    const dims = [
+      Math.floor(size.x / cellSize) + 1,
+      Math.floor(size.y / cellSize) + 1,
+      Math.floor(size.z / cellSize) + 1
+    ];
+    grid = { min: box.min.clone(), cellSize, dims, cellStart: null, triangles: null, visited: new Uint32Array(triangleCount), stamp: 0 };
+
+    const vertex = i => (index ? index.getX(i) : i);
+    const range = new Int32Array(6);
+    const visitCells = (triangle, visit) => {
+      for (let axis = 0; axis < 3; axis++) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let corner = 0; corner < 3; corner++) {
+          const value = position.getComponent(vertex(triangle * 3 + corner), axis);
+          if (value < min) min = value;
+          if (value > max) max = value;
+        }
+        range[axis] = MeasurementVolume._gridCell(grid, min, axis);
+        range[axis + 3] = MeasurementVolume._gridCell(grid, max, axis);
+      }
+      for (let z = range[2]; z <= range[5]; z++) {
+        for (let y = range[1]; y <= range[4]; y++) {
+          for (let x = range[0]; x <= range[3]; x++) {
+            visit(x + dims[0] * (y + dims[1] * z));
+          }
+        }
+      }
+    };
+
+    // Count each cell's triangles, then fill them in
+    const cellCount = dims[0] * dims[1] * dims[2];
+    const cellStart = new Uint32Array(cellCount + 1);
+    for (let triangle = 0; triangle < triangleCount; triangle++) {
+      visitCells(triangle, cell => { cellStart[cell + 1]++; });
+    }
+    for (let cell = 0; cell < cellCount; cell++) {
+      cellStart[cell + 1] += cellStart[cell];
+    }
+    const triangles = new Uint32Array(cellStart[cellCount]);
+    const next = cellStart.slice(0, cellCount);
+    for (let triangle = 0; triangle < triangleCount; triangle++) {
+      visitCells(triangle, cell => { triangles[next[cell]++] = triangle; });
+    }
+
+    grid.cellStart = cellStart;
+    grid.triangles = triangles;
+    triangleGrids.set(geometry, grid);
+    return grid;
+  }
+
+  /**
+   * Triangles in the grid cells a box overlaps, each listed once
+   *
+   * @private
+   */
+  static _queryTriangles(grid, box) {
+    const { dims, cellStart, triangles, visited } = grid;
+    const x0 = MeasurementVolume._gridCell(grid, box.min.x, 0);
+    const y0 = MeasurementVolume._gridCell(grid, box.min.y, 1);
+    const z0 = MeasurementVolume._gridCell(grid, box.min.z, 2);
+    const x1 = MeasurementVolume._gridCell(grid, box.max.x, 0);
+    const y1 = MeasurementVolume._gridCell(grid, box.max.y, 1);
+    const z1 = MeasurementVolume._gridCell(grid, box.max.z, 2);
+    grid.stamp++;
+    if (grid.stamp === 0xffffffff) {
+      visited.fill(0);
+      grid.stamp = 1;
+    }
+    const found = [];
+    for (let z = z0; z <= z1; z++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          const cell = x + dims[0] * (y + dims[1] * z);
+          for (let i = cellStart[cell]; i < cellStart[cell + 1]; i++) {
+            const triangle = triangles[i];
+            if (visited[triangle] === grid.stamp) continue;
+            visited[triangle] = grid.stamp;
+            found.push(triangle);
+          }
+        }
+      }
+    }
+    return found;
+  }
+
+  static _gridCell(grid, value, axis) {
+    const cell = Math.floor((value - grid.min.getComponent(axis)) / grid.cellSize);
+    return Math.min(grid.dims[axis] - 1, Math.max(0, cell));
+  }
+
+  /**
+   * Raise grid cells whose centres fall inside a triangle's plan projection
+   * to the triangle's height there
+   *
+   * @private
+   */
+  static _rasterise(a, b, c, origin, cellSize, columns, rows, heights) {
+    const denominator = (b.z - c.z) * (a.x - c.x) + (c.x - b.x) * (a.z - c.z);
+    // Vertical triangles have no plan area and never form the top surface
+    if (Math.abs(denominator) < 1e-12) return;
+
+    const toColumn = x => (x - origin.x) / cellSize - 0.5;
+    const toRow = z => (z - origin.z) / cellSize - 0.5;
+    const minColumn = Math.max(0, Math.ceil(toColumn(Math.min(a.x, b.x, c.x))));
+    const maxColumn = Math.min(columns - 1, Math.floor(toColumn(Math.max(a.x, b.x, c.x))));
+    const minRow = Math.max(0, Math.ceil(toRow(Math.min(a.z, b.z, c.z))));
+    const maxRow = Math.min(rows - 1, Math.floor(toRow(Math.max(a.z, b.z, c.z))));
+
+    for (let row = minRow; row <= maxRow; row++) {
+      const z = origin.z + (row + 0.5) * cellSize;
+      for (let column = minColumn; column <= maxColumn; column++) {
+        const x = origin.x + (column + 0.5) * cellSize;
+        const u = ((b.z - c.z) * (x - c.x) + (c.x - b.x) * (z - c.z)) / denominator;
+        const v = ((c.z - a.z) * (x - c.x) + (a.x - c.x) * (z - c.z)) / denominator;
+        const w = 1 - u - v;
+        if (u < 0 || v < 0 || w < 0) continue;
+        const height = u * a.y + v * b.y + w * c.y;
+        const cell = row * columns + column;
+        if (height > heights[cell]) {
+          heights[cell] = height;
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+
+/**
+ * Georeference - Real-world coordinates for models in projected grids
+ *
+ * Survey models are usually exported in a projected coordinate system (UTM
+ * or a local site grid) with a large offset removed so the numbers fit in
+ * 32-bit floats. A georeference records that offset, and the EPSG code of
+ * the grid, on the model's `userData.georeference` so positions in the
+ * scene can be turned back into eastings, northings and elevations however
+ * the model is later centred, moved or scaled.
+ *
+ * Model coordinates follow the scene's Y-up convention with north along -Z,
+ * so a point (x, y, z) in the model is at
+ * (offset east + x, offset north - z, offset up + y) in the grid.
+ *
+ * @class Georeference
+ *
+ * @example
+ * // glTF asset extras written by the exporter
+ * { "asset": { "version": "2.0", "extras": { "georeference": { "offset": [512340, 6952100, -32], "epsg": 32755 } } } }
+ *
+ * @since 1.1.0
+ */
+export class Georeference {
+  /**
+   * Read a georeference from glTF extras or model config
+   *
+   * Accepts `{georeference: {...}}` as well as the fields directly. The
+   * offset may be an [east, north, up] array or an {x, y, z} object (as
+   * LAS origins are); `origin` is accepted as another name for it. The EPSG
+   * code may be a number or a string such as 'EPSG:32755'.
+   *
+   * @param {Object|null} source - glTF `asset.extras`, a model config entry or a georeference
+   * @returns {{offset: number[], epsg: string|null}|null} The georeference, or null if the source has none
+   */
+  static parse(source) {
+    const { offset, epsg } = Georeference.readFields(source);
+    if (!offset && !epsg) return null;
+    return { offset: offset || [0, 0, 0], epsg };
+  }
+
+  /**
+   * Combine a model's own georeference with one from config
+   *
+   * Config fields win, so a config entry can supply just the EPSG code for
+   * a file that only carries its offset (or the other way round).
+   *
+   * @param {Object|null} base - Georeference read from the file
+   * @param {Object|null} override - Georeference from config, in any form `parse` accepts
+   * @returns {{offset: number[], epsg: string|null}|null} The combined georeference
+   */
+  static merge(base, override) {
+    const { offset, epsg } = Georeference.readFields(override);
+    if (!base && !offset && !epsg) return null;
+    return {
+      offset: offset || (base ? base.offset : [0, 0, 0]),
+      epsg: epsg || (base ? base.epsg : null)
+    };
+  }
+
+  static readFields(source) {
+    if (!source || typeof source !== 'object') return { offset: null, epsg: null };
+    const fields = source.georeference && typeof source.georeference === 'object' ? source.georeference : source;
+    return {
+      offset: Georeference.parseOffset(fields.offset !== undefined ? fields.offset : fields.origin),
+      epsg: Georeference.parseEPSG(fields.epsg !== undefined ? fields.epsg : fields.crs)
+    };
+  }
+
+  static parseOffset(value) {
+    let offset = null;
+    if (Array.isArray(value) && value.length >= 2) {
+      offset = [value[0], value[1], value.length > 2 ? value[2] : 0];
+    } else if (value && typeof value === 'object' && value.x !== undefined) {
+      offset = [value.x, value.y, value.z || 0];
+    }
+    if (!offset) return null;
+    offset = offset.map(Number);
+    return offset.every(Number.isFinite) ? offset : null;
+  }
+
+  static parseEPSG(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const match = String(value).match(/(\d+)\s*$/);
+    return match ? `EPSG:${match[1]}` : null;
+  }
+
+  /**
+   * Find the georeferenced model an object belongs to
+   *
+   * @param {THREE.Object3D|THREE.Object3D[]|null} objects - A model, part of one, or a list of models
+   * @returns {THREE.Object3D|null} The nearest object (or ancestor) with `userData.georeference`
+   */
+  static findModel(objects) {
+    const list = Array.isArray(objects) ? objects : [objects];
+    for (const object of list) {
+      for (let current = object; current; current = current.parent) {
+        if (current.userData && current.userData.georeference) return current;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert a model-local position to grid coordinates
+   *
+   * @param {THREE.Vector3} local - Position in the model's own coordinates
+   * @param {{offset: number[]}} georeference - The model's georeference
+   * @returns {number[]} [east, north, up]
+   */
+  static localToGrid(local, georeference) {
+    const [east, north, up] = georeference.offset;
+    return [east + local.x, north - local.z, up + local.y];
+  }
+
+  /**
+   * Convert a scene position to grid coordinates of a georeferenced model
+   *
+   * @param {THREE.Object3D} model - Model carrying `userData.georeference`
+   * @param {THREE.Vector3} point - Position in scene (world) coordinates
+   * @returns {{east: number, north: number, up: number, epsg: string|null}|null} Grid
+   *   coordinates, or null if the model is not georeferenced
+   */
+  static worldToGrid(model, point) {
+    const georeference = model && model.userData.georeference;
+    if (!georeference) return null;
+    model.updateMatrixWorld(true);
+    const local = model.worldToLocal(new THREE.Vector3().copy(point));
+    const [east, north, up] = Georeference.localToGrid(local, georeference);
+    return { east, north, up, epsg: georeference.epsg };
+  }
+
+  /**
+   * Format grid coordinates for display
+   *
+   * @param {{east: number, north: number, up: number, epsg: string|null}} coordinates - From `worldToGrid`
+   * @param {number} [precision=2] - Decimal places
+   * @returns {string} For example 'E 512341.20 N 6952098.75 Z -30.42 (EPSG:32755)'
+   */
+  static format({ east, north, up, epsg }, precision = 2) {
+    const text = `E ${east.toFixed(precision)} N ${north.toFixed(precision)} Z ${up.toFixed(precision)}`;
+    return epsg ? `${text} (${epsg})` : text;
+  }
+}
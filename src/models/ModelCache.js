@@ -0,0 +1,215 @@
+const DB_VERSION = 1;
+const ENTRY_STORE = 'entries';
+const DATA_STORE = 'data';
+
+/**
+ * ModelCache - Persistent model storage in IndexedDB
+ *
+ * Keeps downloaded model bytes between visits, keyed by URL and tagged with a
+ * version (an explicit model version, or the server's ETag/Last-Modified) so
+ * stale copies can be detected. Entry metadata and model bytes live in
+ * separate stores so eviction never has to read large models back. When the
+ * cache would grow past its size budget, least recently used models are
+ * evicted first.
+ *
+ * Every method resolves quietly when IndexedDB is unavailable (for example
+ * in some private browsing modes), so callers can treat the cache as optional.
+ *
+ * @class ModelCache
+ *
+ * @example
+ * const cache = new ModelCache({ maxSize: 1024 * 1024 * 1024 });
+ * await cache.put('models/wreck.glb', '"etag-1"', arrayBuffer);
+ * const entry = await cache.get('models/wreck.glb');
+ *
+ * @since 1.1.0
+ */
+export class ModelCache {
+  /**
+   * @param {Object} [options={}] - Cache options
+   * @param {string} [options.name='belowjs-models'] - IndexedDB database name
+   * @param {number} [options.maxSize=2147483648] - Size budget in bytes (2 GB by default)
+   */
+  constructor({ name = 'belowjs-models', maxSize = 2 * 1024 * 1024 * 1024 } = {}) {
+    this.name = name;
+    this.maxSize = maxSize;
+    this._db = null;
+  }
+
+  /**
+   * Whether IndexedDB is available in this environment
+   *
+   * @returns {boolean} True if models can be cached persistently
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Read a cached model and mark it as recently used
+   *
+   * @param {string} url - Model URL
+   * @returns {Promise<{url: string, version: string, size: number, storedAt: number, lastAccess: number, data: ArrayBuffer}|null>}
+   *   The cached entry, or null if the model is not cached
+   */
+  async get(url) {
+    const db = await this._open();
+    if (!db) return null;
+    try {
+      const transaction = db.transaction([ENTRY_STORE, DATA_STORE], 'readwrite');
+      const entries = transaction.objectStore(ENTRY_STORE);
+      const entry = await this._request(entries.get(url));
+      const data = entry ? await this._request(transaction.objectStore(DATA_STORE).get(url)) : null;
+      if (!entry || !data) return null;
+      entry.lastAccess = Date.now();
+      entries.put(entry);
+      await this._complete(transaction);
+      return { ...entry, data };
+    } catch (error) {
+      console.warn('[ModelCache] Failed to read cached model:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store model bytes, evicting least recently used models to stay in budget
+   *
+   * @param {string} url - Model URL
+   * @param {string} version - Version tag the bytes belong to
+   * @param {ArrayBuffer} data - Model bytes
+   * @returns {Promise<boolean>} True if the model was stored
+   */
+  async put(url, version, data) {
+    const db = await this._open();
+    if (!db || data.byteLength > this.maxSize) return false;
+    try {
+      await this._evict(data.byteLength, url);
+      const transaction = db.transaction([ENTRY_STORE, DATA_STORE], 'readwrite');
+      const now = Date.now();
+      transaction.objectStore(ENTRY_STORE).put({ url, version, size: data.byteLength, storedAt: now, lastAccess: now });
+      transaction.objectStore(DATA_STORE).put(data, url);
+      await this._complete(transaction);
+      return true;
+    } catch (error) {
+      // Usually the browser's storage quota; the model still loads from the network
+      console.warn('[ModelCache] Failed to cache model:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove one model from the cache
+   *
+   * @param {string} url - Model URL
+   * @returns {Promise<void>}
+   */
+  async delete(url) {
+    const db = await this._open();
+    if (!db) return;
+    const transaction = db.transaction([ENTRY_STORE, DATA_STORE], 'readwrite');
+    transaction.objectStore(ENTRY_STORE).delete(url);
+    transaction.objectStore(DATA_STORE).delete(url);
+    await this._complete(transaction);
+  }
+
+  /**
+   * Remove every cached model
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this._open();
+    if (!db) return;
+    const transaction = db.transaction([ENTRY_STORE, DATA_STORE], 'readwrite');
+    transaction.objectStore(ENTRY_STORE).clear();
+    transaction.objectStore(DATA_STORE).clear();
+    await this._complete(transaction);
+  }
+
+  /**
+   * Summarise what is cached
+   *
+   * @returns {Promise<{count: number, size: number, maxSize: number}>} Number of
+   *   cached models, their total size and the size budget in bytes
+   */
+  async getStats() {
+    const entries = await this._getEntries();
+    return {
+      count: entries.length,
+      size: entries.reduce((total, entry) => total + entry.size, 0),
+      maxSize: this.maxSize
+    };
+  }
+
+  /**
+   * Close the database connection
+   *
+   * @returns {void}
+   */
+  close() {
+    if (this._db) {
+      this._db.then(db => db && db.close());
+      this._db = null;
+    }
+  }
+
+  async _evict(incomingSize, replacingUrl) {
+    const entries = (await this._getEntries()).filter(entry => entry.url !== replacingUrl);
+    let size = entries.reduce((total, entry) => total + entry.size, 0);
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const entry of entries) {
+      if (size + incomingSize <= this.maxSize) break;
+      await this.delete(entry.url);
+      size -= entry.size;
+    }
+  }
+
+  async _getEntries() {
+    const db = await this._open();
+    if (!db) return [];
+    const transaction = db.transaction(ENTRY_STORE, 'readonly');
+    return this._request(transaction.objectStore(ENTRY_STORE).getAll());
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise(resolve => {
+        if (!ModelCache.isSupported()) {
+          resolve(null);
+          return;
+        }
+        const request = indexedDB.open(this.name, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+            db.createObjectStore(ENTRY_STORE, { keyPath: 'url' });
+          }
+          if (!db.objectStoreNames.contains(DATA_STORE)) {
+            db.createObjectStore(DATA_STORE);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('[ModelCache] IndexedDB unavailable, models will not be cached:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this._db;
+  }
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * ModelLoadError - Why a model could not be loaded
+ *
+ * ModelLoader rejects with a ModelLoadError, and BelowViewer passes it on
+ * through `model-load-error`, so pages can tell a server that is down from
+ * a file that is damaged or has been changed. `code` is one of:
+ *
+ * - `'network'` - The server could not be reached, or the download broke off
+ * - `'http'` - The server answered with an error status (see `status`)
+ * - `'timeout'` - No data arrived for longer than the stall timeout
+ * - `'integrity'` - The file does not match its configured SHA-256 hash
+ * - `'parse'` - The file is not a model the loaders can read, or it is truncated
+ *
+ * Cancelled loads still reject with a plain 'Loading cancelled' Error.
+ *
+ * @class ModelLoadError
+ * @extends Error
+ *
+ * @example
+ * viewer.on('model-load-error', ({ url, error }) => {
+ *   if (error.code === 'integrity') showWarning(`${url} has been modified`);
+ * });
+ *
+ * @since 1.1.0
+ */
+export class ModelLoadError extends Error {
+  /**
+   * @param {string} code - 'network', 'http', 'timeout', 'integrity' or 'parse'
+   * @param {string} message - Description of the failure
+   * @param {Object} [details={}] - Extra information
+   * @param {string} [details.url] - URL of the model (or tile) that failed
+   * @param {number} [details.status] - HTTP status, for 'http' errors
+   * @param {number} [details.attempts] - Downloads tried before giving up
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(code, message, { url = null, status = null, attempts = 1, cause = null } = {}) {
+    super(message);
+    this.name = 'ModelLoadError';
+    this.code = code;
+    this.url = url;
+    this.status = status;
+    this.attempts = attempts;
+    this.cause = cause;
+  }
+
+  /**
+   * Whether trying the download again may succeed
+   *
+   * Servers that are unreachable, overloaded or slow, and downloads that
+   * arrive damaged, are worth another try; missing files and files that do
+   * not parse are not.
+   *
+   * @returns {boolean} True for network, timeout and integrity failures, and 408, 429 and 5xx responses
+   */
+  get retryable() {
+    if (this.code === 'http') return this.status === 408 || this.status === 429 || this.status >= 500;
+    return this.code === 'network' || this.code === 'timeout' || this.code === 'integrity';
+  }
+}
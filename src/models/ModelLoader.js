@@ -2,20 +2,90 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
 import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
 import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import { ModelCache } from './ModelCache.js';
+import { Georeference } from './Georeference.js';
+import { ModelLoadError } from './ModelLoadError.js';
+import { ModelMetadata } from './ModelMetadata.js';
+import { ModelTransfer } from './ModelTransfer.js';
+import { PointCloud } from './PointCloud.js';
+import { TiledModel } from './TiledModel.js';
+
+// CDN fallbacks; the build also copies both decoders to dist/decoders/ for offline use
+const DEFAULT_DRACO_DECODER_PATH = 'https://www.gstatic.com/draco/versioned/decoders/1.5.6/';
+const DEFAULT_KTX2_TRANSCODER_PATH = `https://cdn.jsdelivr.net/npm/three@0.${THREE.REVISION}.0/examples/jsm/libs/basis/`;
+
+// Default in-memory cache budget; low enough for standalone headsets
+const DEFAULT_MEMORY_BUDGET = 512 * 1024 * 1024;
+
+const DEFAULT_DOWNLOAD = {
+  retries: 2,
+  retryDelay: 1000,
+  stallTimeout: 30000
+};
+
+const FORMAT_EXTENSIONS = {
+  glb: 'gltf',
+  gltf: 'gltf',
+  ply: 'ply',
+  obj: 'obj',
+  stl: 'stl',
+  las: 'las',
+  laz: 'las',
+  json: 'tiles'
+};
 
 export class ModelLoader {
-  constructor(renderer = null) {
+  /**
+   * @param {THREE.WebGLRenderer|null} [renderer=null] - Renderer used to detect KTX2 support
+   * @param {Object} [options={}] - Loader options
+   * @param {string|null} [options.dracoDecoderPath] - Folder containing the Draco decoder (defaults to the gstatic CDN)
+   * @param {string|null} [options.ktx2TranscoderPath] - Folder containing the Basis transcoder (defaults to the jsDelivr CDN)
+   * @param {Object|null} [options.persistentCache] - ModelCache options; enables the IndexedDB model cache when set
+   * @param {number} [options.memoryBudget=536870912] - Estimated bytes of geometry and textures to keep in the in-memory cache
+   * @param {Object} [options.pointCloud={}] - Point size and colour mode for new point clouds (see PointCloud.create)
+   * @param {Function|null} [options.lazDecoder] - Decompresses LAZ bytes to LAS: `async (ArrayBuffer) => ArrayBuffer`
+   * @param {Object} [options.tiles={}] - Streaming options for 3D Tiles tilesets (see TiledModel)
+   * @param {boolean} [options.workerParsing=true] - Parse models in a Web Worker where the format allows it
+   * @param {Object} [options.download={}] - Download retries: `retries` (2), `retryDelay` in ms before the
+   *   first retry, doubling after each (1000), and `stallTimeout` in ms without data before an attempt fails (30000; 0 disables)
+   */
+  constructor(renderer = null, { dracoDecoderPath = null, ktx2TranscoderPath = null, persistentCache = null, memoryBudget = DEFAULT_MEMORY_BUDGET, pointCloud = {}, lazDecoder = null, tiles = {}, workerParsing = true, download = {} } = {}) {
     this.renderer = renderer;
     this.loader = new GLTFLoader();
     this.dracoLoader = new DRACOLoader();
     this.ktx2Loader = null;
+    this.ownsKTX2Loader = false;
+    this.dracoDecoderPath = dracoDecoderPath || DEFAULT_DRACO_DECODER_PATH;
+    this.ktx2TranscoderPath = ktx2TranscoderPath || DEFAULT_KTX2_TRANSCODER_PATH;
+    this.pointCloudOptions = { ...pointCloud };
+    this.lazDecoder = lazDecoder;
+    this.tileOptions = { ...tiles };
+    this.downloadOptions = { ...DEFAULT_DOWNLOAD, ...download };
+    this.workerParsing = workerParsing && typeof Worker !== 'undefined';
+    this.worker = null;
+    this.workerRequests = new Map();
+    this.nextWorkerRequest = 0;
 
-    this.dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
+    this.dracoLoader.setDecoderPath(this.dracoDecoderPath);
     this.loader.setDRACOLoader(this.dracoLoader);
     this.loader.setMeshoptDecoder(MeshoptDecoder);
 
+    // Parsed scenes by URL, least recently used first
     this.cache = new Map();
+    // Cache entry each handed-out model shares its resources with
+    this.cacheEntries = new WeakMap();
+    this.memoryBudget = memoryBudget;
+    this.cacheStats = { hits: 0, misses: 0, evictions: 0 };
+    this.persistentCache = persistentCache && ModelCache.isSupported() ? new ModelCache(persistentCache) : null;
+    if (this.persistentCache && typeof navigator !== 'undefined' && navigator.storage && navigator.storage.persist) {
+      // Ask the browser not to evict cached models under storage pressure
+      navigator.storage.persist().catch(() => {});
+    }
 
     this.ktx2SetupComplete = false;
     this.setupKTX2Loader();
@@ -23,6 +93,12 @@ export class ModelLoader {
 
   setupKTX2Loader() {
 
+    // The shared loader only serves viewers using the same transcoder
+    if (ModelLoader.sharedKTX2Loader && ModelLoader.sharedKTX2Loader.transcoderPath !== this.ktx2TranscoderPath) {
+      this.setupDedicatedKTX2Loader();
+      return;
+    }
+
     if (ModelLoader.sharedKTX2SetupComplete && ModelLoader.sharedKTX2Loader) {
       this.ktx2Loader = ModelLoader.sharedKTX2Loader;
       this.ktx2SetupComplete = true;
@@ -33,7 +109,7 @@ export class ModelLoader {
     try {
       if (!ModelLoader.sharedKTX2Loader) {
         ModelLoader.sharedKTX2Loader = new KTX2Loader();
-        ModelLoader.sharedKTX2Loader.setTranscoderPath('https://cdn.jsdelivr.net/npm/three@0.177.0/examples/jsm/libs/basis/');
+        ModelLoader.sharedKTX2Loader.setTranscoderPath(this.ktx2TranscoderPath);
       }
       this.ktx2Loader = ModelLoader.sharedKTX2Loader;
 
@@ -49,6 +125,22 @@ export class ModelLoader {
     }
   }
 
+  setupDedicatedKTX2Loader() {
+    try {
+      this.ktx2Loader = new KTX2Loader();
+      this.ktx2Loader.setTranscoderPath(this.ktx2TranscoderPath);
+      this.ownsKTX2Loader = true;
+      if (this.renderer) {
+        this.ktx2Loader.detectSupport(this.renderer);
+        this.ktx2SetupComplete = true;
+      }
+      this.loader.setKTX2Loader(this.ktx2Loader);
+    } catch (error) {
+      console.warn('KTX2 loader setup failed, falling back to standard textures:', error);
+      this.ktx2Loader = null;
+    }
+  }
+
   setRenderer(renderer) {
     this.renderer = renderer;
     
@@ -68,50 +160,843 @@ export class ModelLoader {
     }
   }
 
-  async load(url, onProgress = null, signal = null) {
+  /**
+   * Load a glTF/GLB, PLY, OBJ or STL model, or a LAS/LAZ point cloud
+   *
+   * The format is taken from the file's magic bytes where it has them, and
+   * from the URL's extension otherwise (see `detectFormat`). OBJ files pick
+   * up their MTL library and PLY files their `TextureFile` comment, both
+   * relative to the model URL. PLY files without faces and LAS/LAZ files
+   * load as point clouds (see PointCloud); LAZ needs the `lazDecoder` option.
+   * A 3D Tiles tileset.json loads as a TiledModel that keeps streaming tiles
+   * after this resolves; it is not kept in the in-memory cache.
+   *
+   * Unless `workerParsing` is off, glTF/GLB, STL, PLY and uncompressed LAS
+   * files are parsed in a Web Worker so the render loop keeps running while
+   * large models decode (see `parseOffThread`).
+   *
+   * With the persistent cache enabled, model bytes are kept in IndexedDB and
+   * reused while their version still matches: the `version` option when
+   * given, otherwise the server's ETag or Last-Modified header. Cached copies
+   * are also used when the server cannot be reached.
+   *
+   * A georeference (grid offset and EPSG code) is read from glTF
+   * `asset.extras` and from LAS headers, merged with the `georeference`
+   * option, and kept on the model's `userData.georeference` (see
+   * Georeference) so centring the model does not lose it. Descriptive
+   * metadata (site, survey date, licence, attribution) is read from glTF
+   * `asset` and extras the same way, merged with the `metadata` option, and
+   * kept on `userData.metadata` (see ModelMetadata).
+   *
+   * Downloads that fail on the network, stall, or get a 408, 429 or 5xx
+   * response are retried with backoff (see the `download` constructor
+   * option). With `integrity`, the file's SHA-256 hash is checked before it
+   * is parsed, including copies from the persistent cache. Failures reject
+   * with a ModelLoadError saying what went wrong.
+   *
+   * @param {string} url - Model URL
+   * @param {Function|null} [onProgress=null] - Called with {loaded, total, lengthComputable}
+   * @param {AbortSignal|null} [signal=null] - Cancels the load
+   * @param {Object} [options={}] - Load options
+   * @param {string|null} [options.version=null] - Model version for the persistent cache
+   * @param {Object|null} [options.georeference=null] - Grid `offset` [east, north, up] and `epsg` code; overrides the file's own
+   * @param {Object|null} [options.metadata=null] - Site, survey date, licence and attribution fields; override the file's own
+   * @param {string|null} [options.integrity=null] - Expected SHA-256 of the file, as 'sha256-<base64>' (as in
+   *   subresource integrity) or 64 hex digits
+   * @returns {Promise<THREE.Object3D|TiledModel>} The processed model
+   * @throws {ModelLoadError} If the model cannot be downloaded, verified or parsed
+   */
+  async load(url, onProgress = null, signal = null, { version = null, georeference = null, metadata = null, integrity = null } = {}) {
+    const hash = integrity ? ModelLoader.readIntegrity(integrity, url) : null;
+    const model = await this.loadObject(url, onProgress, signal, version, hash);
+    const merged = Georeference.merge(model.userData.georeference || null, georeference);
+    if (merged) {
+      model.userData.georeference = merged;
+    }
+    const mergedMetadata = ModelMetadata.merge(model.userData.metadata || null, metadata);
+    if (mergedMetadata) {
+      model.userData.metadata = mergedMetadata;
+    }
+    return model;
+  }
+
+  async loadObject(url, onProgress, signal, version, hash) {
     if (this.cache.has(url)) {
-      const cachedGLTF = this.cache.get(url);
-      const clonedScene = cachedGLTF.scene.clone(true);
-      const model = this.processModel({ scene: clonedScene });
+      const entry = this.cache.get(url);
+      this.cache.delete(url);
+      this.cache.set(url, entry);
+      entry.users++;
+      this.cacheStats.hits++;
+      const clonedScene = entry.scene.clone(true);
+      // Clones share the cached geometry, which already has its normals
+      const model = this.processModel({ scene: clonedScene, geometryProcessed: true });
+      this.cacheEntries.set(model, entry);
       return model;
     }
+    this.cacheStats.misses++;
 
-    return new Promise((resolve, reject) => {
+    const data = await this.loadData(url, onProgress, signal, version, hash);
+    if (ModelLoader.detectFormat(url, data) === 'tiles') {
+      return this.loadTileset(url, data, onProgress, signal);
+    }
+    let parsed;
+    try {
+      parsed = await this.parseOffThread(data, url, signal, () => this.loadData(url, null, signal, version, hash));
+    } catch (error) {
+      // Drop bytes that cannot be parsed so the next attempt downloads them again
+      if (this.persistentCache && error.message !== 'Loading cancelled') this.persistentCache.delete(url).catch(() => {});
+      throw error;
+    }
+    if (signal && signal.aborted) {
+      throw new Error('Loading cancelled');
+    }
+    const model = this.processModel(parsed);
+    this.addToCache(url, model);
+    return model;
+  }
+
+  /**
+   * Download model bytes, through the persistent cache when it is enabled
+   *
+   * @param {string} url - File URL
+   * @param {Function|null} [onProgress=null] - Called with {loaded, total, lengthComputable}
+   * @param {AbortSignal|null} [signal=null] - Cancels the download
+   * @param {string|null} [version=null] - Version for the persistent cache
+   * @param {string|null} [hash=null] - Expected SHA-256 as hex (see `readIntegrity`)
+   * @returns {Promise<ArrayBuffer>} File bytes
+   * @throws {ModelLoadError} If the download fails after its retries or does not match `hash`
+   */
+  async loadData(url, onProgress = null, signal = null, version = null, hash = null) {
+    if (this.persistentCache) {
+      return this.loadCachedData(url, onProgress, signal, version, hash);
+    }
+    return (await this.downloadModelData(url, onProgress, signal, hash)).data;
+  }
+
+  async loadTileset(url, data, onProgress, signal) {
+    let tileset;
+    try {
+      tileset = JSON.parse(new TextDecoder().decode(data));
+    } catch (error) {
+      if (this.persistentCache) this.persistentCache.delete(url).catch(() => {});
+      throw new ModelLoadError('parse', `Tileset ${url} is not valid JSON: ${error.message}`, { url, cause: error });
+    }
+    const model = new TiledModel(url, tileset, this, this.tileOptions);
+    try {
+      await model.loadRoot({ onProgress, signal });
+    } catch (error) {
+      model.dispose();
+      throw error;
+    }
+    return model;
+  }
+
+  /**
+   * Work out a model's format
+   *
+   * Magic bytes win when the data is available, so mislabelled files still
+   * load; the URL's extension decides otherwise. Text formats without a
+   * signature (OBJ, ASCII STL) are recognised from their first keywords.
+   *
+   * @param {string} url - Model URL
+   * @param {ArrayBuffer|null} [data=null] - Model bytes, if already downloaded
+   * @returns {'gltf'|'ply'|'obj'|'stl'|'las'|'tiles'|null} The format, or null if it is not recognised
+   * @since 1.1.0
+   */
+  static detectFormat(url, data = null) {
+    if (data && data.byteLength >= 4) {
+      const head = new TextDecoder().decode(new Uint8Array(data, 0, Math.min(data.byteLength, 256)));
+      if (head.startsWith('glTF')) return 'gltf';
+      if (PointCloud.isLAS(data)) return 'las';
+      if (/^ply\r?\n/.test(head)) return 'ply';
+      // Binary STL: 80-byte header, triangle count, then 50 bytes per triangle
+      if (data.byteLength >= 84 && 84 + new DataView(data).getUint32(80, true) * 50 === data.byteLength) return 'stl';
+    }
+
+    const path = url.split(/[?#]/)[0];
+    const extension = path.slice(path.lastIndexOf('.') + 1).toLowerCase();
+    if (FORMAT_EXTENSIONS[extension]) return FORMAT_EXTENSIONS[extension];
+
+    if (data) {
+      const head = new TextDecoder().decode(new Uint8Array(data, 0, Math.min(data.byteLength, 4096))).trimStart();
+      if (head.startsWith('{')) return /"geometricError"/.test(head) ? 'tiles' : 'gltf';
+      if (/^solid\b[^\n]*\n\s*(facet|endsolid)\b/.test(head)) return 'stl';
+      if (/^(#|mtllib|o|g|v|vn|vt|f|usemtl)\s/m.test(head)) return 'obj';
+    }
+    return null;
+  }
+
+  /**
+   * Parse model bytes in the parsing worker, or on the main thread when the worker cannot
+   *
+   * The worker handles glTF/GLB, STL, PLY and uncompressed LAS files; OBJ
+   * files, textured PLY files and LAZ files need the page (for texture images
+   * or the `lazDecoder`) and parse on the main thread, as does anything the
+   * worker fails on. The bytes are transferred to the worker rather than
+   * copied, so `data` is unusable afterwards; if the worker fails, `reload`
+   * fetches them again (from the persistent cache when it is enabled).
+   *
+   * @param {ArrayBuffer} data - Model bytes; detached if they go to the worker
+   * @param {string} url - Model URL, used for the format and relative resources
+   * @param {AbortSignal|null} [signal=null] - Stops waiting for the worker
+   * @param {Function|null} [reload=null] - Returns the bytes again for a main-thread parse; downloads `url` by default
+   * @returns {Promise<{scene: THREE.Object3D, geometryProcessed?: boolean}>} The parsed
+   *   model, ready for `processModel`
+   * @throws {ModelLoadError} With code 'parse' if the bytes are truncated or cannot be read
+   * @since 1.1.0
+   */
+  async parseOffThread(data, url, signal = null, reload = null) {
+    ModelLoader.checkComplete(data, url);
+    if (this.canParseInWorker(url, data)) {
+      try {
+        const message = await this.requestWorkerParse(data, url, signal);
+        return { scene: ModelTransfer.deserialize(message), geometryProcessed: true };
+      } catch (error) {
+        if (error.message === 'Loading cancelled') throw error;
+        console.warn(`[ModelLoader] Worker could not parse ${url}, parsing on the main thread:`, error.message);
+        // Transferred buffers are left empty
+        if (data.byteLength === 0) {
+          data = await (reload ? reload() : this.loadData(url, null, signal));
+        }
+      }
+    }
+    try {
+      return await this.parseModel(data, url);
+    } catch (error) {
+      throw new ModelLoadError('parse', `Could not read ${url}: ${error.message}`, { url, cause: error });
+    }
+  }
+
+  /**
+   * Reject GLB files shorter than their header says
+   *
+   * A download cut short otherwise surfaces as an obscure loader error
+   * from deep inside the binary chunk.
+   *
+   * @param {ArrayBuffer} data - Model bytes
+   * @param {string} url - Model URL, for the error
+   * @throws {ModelLoadError} With code 'parse' if the file is truncated
+   */
+  static checkComplete(data, url) {
+    if (data.byteLength < 12 || new TextDecoder().decode(new Uint8Array(data, 0, 4)) !== 'glTF') return;
+    const length = new DataView(data).getUint32(8, true);
+    if (length > data.byteLength) {
+      throw new ModelLoadError('parse', `${url} is truncated: ${data.byteLength} of ${length} bytes`, { url });
+    }
+  }
 
+  canParseInWorker(url, data) {
+    if (!this.workerParsing) return false;
+    switch (ModelLoader.detectFormat(url, data)) {
+    case 'gltf':
+    case 'stl':
+      return true;
+    case 'las':
+      return !PointCloud.isCompressedLAS(data);
+    case 'ply':
+      // Texture images load through the DOM, which workers do not have
+      return !ModelLoader.readPLYHeader(data).comments.some(comment => /^TextureFile\s/i.test(comment));
+    default:
+      return false;
+    }
+  }
+
+  requestWorkerParse(data, url, signal) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextWorkerRequest++;
+      const onAbort = () => {
+        this.workerRequests.delete(id);
+        reject(new Error('Loading cancelled'));
+      };
       if (signal) {
-        signal.addEventListener('abort', () => {
-          reject(new Error('Loading cancelled'));
-        });
-        
         if (signal.aborted) {
-          reject(new Error('Loading cancelled'));
+          onAbort();
           return;
         }
+        signal.addEventListener('abort', onAbort, { once: true });
       }
+      this.workerRequests.set(id, {
+        resolve,
+        reject,
+        cleanup: () => signal && signal.removeEventListener('abort', onAbort)
+      });
+      this.getWorker().postMessage({
+        id,
+        // The worker resolves relative URLs against its own script, not the page
+        url: ModelLoader.resolveUrl(url),
+        data,
+        options: {
+          dracoDecoderPath: ModelLoader.resolveUrl(this.dracoDecoderPath),
+          ktx2TranscoderPath: ModelLoader.resolveUrl(this.ktx2TranscoderPath),
+          ktx2Config: this.ktx2Loader ? this.ktx2Loader.workerConfig : null,
+          pointCloud: this.pointCloudOptions
+        }
+      }, [data]);
+    });
+  }
 
-      this.loader.load(
-        url,
-        (gltf) => {
-          if (signal && signal.aborted) {
-            reject(new Error('Loading cancelled'));
-            return;
-          }
-          
-          this.cache.set(url, gltf);
-          
-          const model = this.processModel(gltf);
-          resolve(model);
-        },
-        (progress) => {
-          if (signal && signal.aborted) {
-            return;
-          }
-          if (onProgress) onProgress(progress);
-        },
-        (error) => {
-          reject(error);
+  getWorker() {
+    if (this.worker) return this.worker;
+    try {
+      this.worker = new Worker(new URL('./ModelWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      this.workerParsing = false;
+      throw error;
+    }
+    this.worker.onmessage = ({ data }) => {
+      const request = this.workerRequests.get(data.id);
+      if (!request) return;
+      this.workerRequests.delete(data.id);
+      request.cleanup();
+      if (data.error) request.reject(new Error(data.error));
+      else request.resolve(data.scene);
+    };
+    this.worker.onerror = event => {
+      // Usually the worker script could not be loaded, so stop trying
+      event.preventDefault();
+      this.workerParsing = false;
+      this.stopWorker(new Error(event.message || 'Parsing worker failed'));
+    };
+    return this.worker;
+  }
+
+  stopWorker(error) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerRequests.forEach(request => {
+      request.cleanup();
+      request.reject(error);
+    });
+    this.workerRequests.clear();
+  }
+
+  static resolveUrl(url) {
+    return typeof document !== 'undefined' ? new URL(url, document.baseURI).href : url;
+  }
+
+  async parseModel(data, url) {
+    const format = ModelLoader.detectFormat(url, data);
+    const basePath = THREE.LoaderUtils.extractUrlBase(url);
+    switch (format) {
+    case 'gltf':
+      return ModelLoader.readAssetInfo(await this.loader.parseAsync(data, basePath));
+    case 'ply':
+      return { scene: await this.parsePLY(data, basePath) };
+    case 'obj':
+      return { scene: await this.parseOBJ(data, basePath) };
+    case 'stl':
+      return { scene: this.parseSTL(data) };
+    case 'las':
+      return { scene: await this.parseLAS(data) };
+    default:
+      throw new Error(`Unsupported model format: ${url}`);
+    }
+  }
+
+  async parsePLY(data, basePath) {
+    const header = ModelLoader.readPLYHeader(data);
+    if (header.faces === 0) {
+      const loader = new PLYLoader();
+      const intensity = header.properties.find(property => /^(scalar_)?intensity$/i.test(property));
+      if (intensity) {
+        loader.setCustomPropertyNameMapping({ intensity: [intensity] });
+      }
+      const group = new THREE.Group();
+      group.add(PointCloud.create(loader.parse(data), this.pointCloudOptions));
+      return group;
+    }
+    const geometry = new PLYLoader().parse(data);
+    const material = new THREE.MeshStandardMaterial({
+      vertexColors: Boolean(geometry.attributes.color),
+      roughness: 1,
+      metalness: 0
+    });
+
+    // Metashape and RealityCapture name the texture in a header comment
+    const textureComment = header.comments.find(comment => /^TextureFile\s/i.test(comment));
+    if (textureComment && geometry.attributes.uv) {
+      const textureFile = textureComment.replace(/^TextureFile\s+/i, '');
+      try {
+        material.map = await new THREE.TextureLoader().loadAsync(basePath + textureFile);
+        material.map.colorSpace = THREE.SRGBColorSpace;
+        // Texture colours replace vertex colours rather than tinting them
+        material.vertexColors = false;
+      } catch (error) {
+        console.warn(`PLY texture ${textureFile} could not be loaded:`, error);
+      }
+    }
+
+    const group = new THREE.Group();
+    group.add(new THREE.Mesh(geometry, material));
+    return group;
+  }
+
+  async parseOBJ(data, basePath) {
+    const text = new TextDecoder().decode(data);
+    const loader = new OBJLoader();
+    const library = text.match(/^mtllib\s+(.+?)\s*$/m);
+    if (library) {
+      try {
+        const mtlLoader = new MTLLoader();
+        mtlLoader.setResourcePath(basePath);
+        const materials = await mtlLoader.loadAsync(basePath + library[1]);
+        materials.preload();
+        loader.setMaterials(materials);
+      } catch (error) {
+        console.warn(`OBJ material library ${library[1]} could not be loaded:`, error);
+      }
+    }
+    return loader.parse(text);
+  }
+
+  parseSTL(data) {
+    const geometry = new STLLoader().parse(data);
+    const material = new THREE.MeshStandardMaterial({
+      vertexColors: Boolean(geometry.hasColors),
+      roughness: 1,
+      metalness: 0
+    });
+    const group = new THREE.Group();
+    group.add(new THREE.Mesh(geometry, material));
+    return group;
+  }
+
+  async parseLAS(data) {
+    let points = data;
+    if (PointCloud.isCompressedLAS(data)) {
+      if (!this.lazDecoder) {
+        throw new Error('LAZ point clouds need a lazDecoder to decompress them');
+      }
+      points = await this.lazDecoder(data);
+    }
+    const geometry = PointCloud.parseLAS(points);
+    const group = new THREE.Group();
+    group.add(PointCloud.create(geometry, this.pointCloudOptions));
+    // LAS coordinates are grid coordinates; the removed origin is the offset
+    group.userData.georeference = Georeference.parse({ offset: geometry.userData.origin });
+    return group;
+  }
+
+  static readAssetInfo(gltf) {
+    const georeference = Georeference.parse(gltf.asset && gltf.asset.extras);
+    if (georeference) {
+      gltf.scene.userData.georeference = georeference;
+    }
+    const metadata = ModelMetadata.fromGLTF(gltf);
+    if (metadata) {
+      gltf.scene.userData.metadata = metadata;
+    }
+    return gltf;
+  }
+
+  /**
+   * Read the comments, vertex properties and face count from a PLY header
+   *
+   * @param {ArrayBuffer} data - PLY file
+   * @returns {{comments: string[], properties: string[], faces: number}} Header comments without the
+   *   `comment` keyword, the names of the vertex properties, and the number of faces
+   */
+  static readPLYHeader(data) {
+    const text = new TextDecoder().decode(new Uint8Array(data, 0, Math.min(data.byteLength, 64 * 1024)));
+    const end = text.indexOf('end_header');
+    const lines = (end >= 0 ? text.slice(0, end) : text).split(/\r?\n/);
+    const comments = lines.filter(line => line.startsWith('comment ')).map(line => line.slice(8).trim());
+    const face = lines.find(line => /^element\s+face\s/.test(line));
+    const properties = [];
+    let element = null;
+    lines.forEach(line => {
+      const words = line.trim().split(/\s+/);
+      if (words[0] === 'element') element = words[1];
+      if (words[0] === 'property' && element === 'vertex') properties.push(words[words.length - 1]);
+    });
+    return { comments, properties, faces: face ? parseInt(face.split(/\s+/)[2], 10) || 0 : 0 };
+  }
+
+  async loadCachedData(url, onProgress, signal, version, hash) {
+    let cached = await this.persistentCache.get(url);
+    if (cached && hash && await ModelLoader.hashData(cached.data) !== hash) {
+      console.warn(`[ModelLoader] Cached copy of ${url} does not match its integrity hash, downloading it again`);
+      cached = null;
+    }
+    let currentVersion = version;
+    if (cached && !currentVersion) {
+      currentVersion = await this.fetchModelVersion(url, signal);
+    }
+    // A null version means the server could not be asked, so trust the cached copy
+    if (cached && (currentVersion === null || currentVersion === cached.version)) {
+      if (onProgress) onProgress({ loaded: cached.size, total: cached.size, lengthComputable: true });
+      return cached.data;
+    }
+
+    let response;
+    try {
+      response = await this.downloadModelData(url, onProgress, signal, hash);
+    } catch (error) {
+      if (!cached || error.message === 'Loading cancelled' || error.code === 'integrity') throw error;
+      console.warn(`Using cached copy of ${url}; the latest version could not be downloaded:`, error);
+      if (onProgress) onProgress({ loaded: cached.size, total: cached.size, lengthComputable: true });
+      return cached.data;
+    }
+    // Written before the bytes can be transferred to the parsing worker
+    await this.persistentCache.put(url, version || response.version, response.data);
+    return response.data;
+  }
+
+  async fetchModelVersion(url, signal) {
+    try {
+      const response = await fetch(url, { method: 'HEAD', signal });
+      if (!response.ok) return null;
+      return response.headers.get('ETag') || response.headers.get('Last-Modified') || '';
+    } catch {
+      if (signal && signal.aborted) {
+        throw new Error('Loading cancelled');
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Download model bytes, retrying failures that may be temporary
+   *
+   * @param {string} url - File URL
+   * @param {Function|null} onProgress - Called with {loaded, total, lengthComputable}; restarts on each attempt
+   * @param {AbortSignal|null} signal - Cancels the download, including any wait before a retry
+   * @param {string|null} [hash=null] - Expected SHA-256 as hex; a mismatch counts as a failed attempt
+   * @returns {Promise<{data: ArrayBuffer, version: string}>} File bytes and the server's version
+   * @throws {ModelLoadError} The last attempt's failure, with `attempts` set
+   */
+  async downloadModelData(url, onProgress, signal, hash = null) {
+    const { retries, retryDelay } = this.downloadOptions;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await this.fetchModelData(url, onProgress, signal);
+        if (hash && await ModelLoader.hashData(response.data) !== hash) {
+          throw new ModelLoadError('integrity', `${url} does not match its integrity hash`, { url });
         }
-      );
+        return response;
+      } catch (error) {
+        if (error.message === 'Loading cancelled') throw error;
+        error.attempts = attempt;
+        if (!error.retryable || attempt > retries) throw error;
+        const delay = retryDelay * 2 ** (attempt - 1);
+        console.warn(`[ModelLoader] ${error.message}; retrying in ${delay} ms (${attempt} of ${retries})`);
+        await ModelLoader.wait(delay, signal);
+      }
+    }
+  }
+
+  async fetchModelData(url, onProgress, signal) {
+    if (signal && signal.aborted) {
+      throw new Error('Loading cancelled');
+    }
+    // Aborted by the caller's signal, or when no data arrives for stallTimeout ms
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const { stallTimeout } = this.downloadOptions;
+    let timer = null;
+    let stalled = false;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      if (stallTimeout > 0) {
+        timer = setTimeout(() => {
+          stalled = true;
+          controller.abort();
+        }, stallTimeout);
+      }
+    };
+    const failure = error => {
+      if (signal && signal.aborted) return new Error('Loading cancelled');
+      if (stalled) {
+        return new ModelLoadError('timeout', `No data received from ${url} for ${stallTimeout / 1000} s`, { url, cause: error });
+      }
+      return new ModelLoadError('network', `Could not download ${url}: ${error.message}`, { url, cause: error });
+    };
+
+    try {
+      resetTimer();
+      let response;
+      try {
+        response = await fetch(url, { signal: controller.signal });
+      } catch (error) {
+        throw failure(error);
+      }
+      if (!response.ok) {
+        throw new ModelLoadError('http', `Failed to load ${url}: ${response.status} ${response.statusText}`, { url, status: response.status });
+      }
+
+      const total = Number(response.headers.get('Content-Length')) || 0;
+      const version = response.headers.get('ETag') || response.headers.get('Last-Modified') || '';
+      if (!response.body || !response.body.getReader) {
+        let data;
+        try {
+          data = await response.arrayBuffer();
+        } catch (error) {
+          throw failure(error);
+        }
+        if (onProgress) onProgress({ loaded: data.byteLength, total: data.byteLength, lengthComputable: true });
+        return { data, version };
+      }
+
+      const reader = response.body.getReader();
+      const chunks = [];
+      let loaded = 0;
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          resetTimer();
+          chunks.push(value);
+          loaded += value.byteLength;
+          if (onProgress) onProgress({ loaded, total, lengthComputable: total > 0 });
+        }
+      } catch (error) {
+        throw failure(error);
+      }
+      // Compressed responses report the compressed length, which is never more than the bytes read
+      if (loaded < total) {
+        throw new ModelLoadError('network', `Download of ${url} ended early: ${loaded} of ${total} bytes`, { url });
+      }
+
+      const bytes = new Uint8Array(loaded);
+      let offset = 0;
+      chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+      });
+      return { data: bytes.buffer, version };
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  static wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Loading cancelled'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      if (signal) {
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Read an expected SHA-256 hash from an integrity value
+   *
+   * @param {string} integrity - 'sha256-<base64>' (as in subresource integrity) or 64 hex digits
+   * @param {string} url - Model URL, for errors
+   * @returns {string} The hash as lowercase hex
+   * @throws {ModelLoadError} With code 'integrity' if the value is not a SHA-256 hash, or
+   *   the page cannot compute one (Web Crypto needs HTTPS or localhost)
+   * @since 1.1.0
+   */
+  static readIntegrity(integrity, url) {
+    const value = String(integrity).trim();
+    let hash = null;
+    if (/^[0-9a-f]{64}$/i.test(value)) {
+      hash = value.toLowerCase();
+    } else if (/^sha256-[A-Za-z0-9+/]{43}=?$/.test(value)) {
+      hash = Array.from(atob(value.slice(7)), char => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+    }
+    if (!hash) {
+      throw new ModelLoadError('integrity', `Integrity for ${url} must be 'sha256-<base64>' or a hex SHA-256 hash`, { url });
+    }
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      throw new ModelLoadError('integrity', `Cannot check the integrity of ${url}: hashing needs a page served over HTTPS`, { url });
+    }
+    return hash;
+  }
+
+  static async hashData(data) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Clear the in-memory and persistent model caches
+   *
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    this.clearMemoryCache();
+    if (this.persistentCache) {
+      await this.persistentCache.clear();
+    }
+  }
+
+  /**
+   * Tell the cache that a model loaded from a URL is no longer shown
+   *
+   * Cached scenes share geometry and textures with the models handed out,
+   * so they are only evicted once every model loaded from them is released.
+   * Entries already dropped from the cache (by `clearMemoryCache`) are
+   * disposed when their last model is released.
+   *
+   * @param {string} url - URL the model was loaded from
+   * @param {THREE.Object3D|null} [model=null] - The model itself; finds its entry even after the cache was cleared
+   * @returns {void}
+   */
+  release(url, model = null) {
+    const entry = (model && this.cacheEntries.get(model)) || this.cache.get(url);
+    if (!entry) return;
+    if (model) this.cacheEntries.delete(model);
+    entry.users = Math.max(0, entry.users - 1);
+    if (entry.evicted) {
+      if (entry.users === 0) ModelLoader.disposeObject(entry.scene);
+      return;
+    }
+    this.enforceMemoryBudget();
+  }
+
+  /**
+   * Report in-memory cache usage
+   *
+   * @returns {{entries: number, bytes: number, memoryBudget: number, hits: number, misses: number, evictions: number, models: Array<{url: string, bytes: number, users: number}>}}
+   *   Totals and per-model estimates, least recently used first
+   */
+  getCacheStats() {
+    const models = [...this.cache.entries()].map(([url, entry]) => ({ url, bytes: entry.bytes, users: entry.users }));
+    return {
+      entries: models.length,
+      bytes: models.reduce((total, model) => total + model.bytes, 0),
+      memoryBudget: this.memoryBudget,
+      ...this.cacheStats,
+      models
+    };
+  }
+
+  addToCache(url, scene) {
+    // Keep a copy (sharing geometry and materials) so placement and per-load
+    // overrides applied to the returned model do not reach later loads
+    const copy = scene.clone(true);
+    const entry = { scene: copy, bytes: ModelLoader.estimateMemory(copy), users: 1, evicted: false };
+    this.cache.set(url, entry);
+    this.cacheEntries.set(scene, entry);
+    this.enforceMemoryBudget();
+  }
+
+  enforceMemoryBudget() {
+    let bytes = 0;
+    this.cache.forEach(entry => { bytes += entry.bytes; });
+    for (const [url, entry] of this.cache) {
+      if (bytes <= this.memoryBudget) break;
+      // Models still in the scene share their resources with the cache
+      if (entry.users > 0) continue;
+      this.evictFromCache(url);
+      bytes -= entry.bytes;
+    }
+  }
+
+  evictFromCache(url) {
+    const entry = this.cache.get(url);
+    if (!entry) return;
+    this.cache.delete(url);
+    this.cacheStats.evictions++;
+    // Entries still in use are disposed by the release of their last model
+    entry.evicted = true;
+    if (entry.users === 0) {
+      ModelLoader.disposeObject(entry.scene);
+    }
+  }
+
+  clearMemoryCache() {
+    [...this.cache.keys()].forEach(url => this.evictFromCache(url));
+  }
+
+  /**
+   * Change how point clouds are displayed, including cached ones
+   *
+   * @param {Object} options - Point cloud options
+   * @param {number} [options.size] - Point size in world units
+   * @param {string} [options.colorMode] - 'rgb', 'height' or 'intensity'
+   * @returns {void}
+   */
+  setPointCloudOptions(options) {
+    Object.assign(this.pointCloudOptions, options);
+    this.cache.forEach(({ scene, users }) => {
+      // Models in use share their point clouds with the viewer, which updates them
+      if (users > 0) return;
+      scene.traverse(child => {
+        if (!child.userData.isPointCloud) return;
+        if (options.size !== undefined) PointCloud.setPointSize(child, options.size);
+        if (options.colorMode !== undefined) PointCloud.setColorMode(child, options.colorMode);
+      });
+    });
+  }
+
+  /**
+   * Estimate the memory held by an object's geometry and textures
+   *
+   * @param {THREE.Object3D} object - Object to measure
+   * @returns {number} Estimated bytes; shared buffers and textures are counted once
+   */
+  static estimateMemory(object) {
+    const arrays = new Set();
+    const textures = new Set();
+    let bytes = 0;
+    const addArray = array => {
+      if (array && !arrays.has(array)) {
+        arrays.add(array);
+        bytes += array.byteLength;
+      }
+    };
+
+    object.traverse(child => {
+      if (child.geometry) {
+        Object.values(child.geometry.attributes).forEach(attribute => addArray(attribute.array));
+        Object.values(child.geometry.morphAttributes).forEach(list => list.forEach(attribute => addArray(attribute.array)));
+        if (child.geometry.index) addArray(child.geometry.index.array);
+      }
+      const materials = Array.isArray(child.material) ? child.material : (child.material ? [child.material] : []);
+      materials.forEach(material => {
+        Object.values(material).forEach(value => {
+          if (value && value.isTexture) textures.add(value);
+        });
+      });
+    });
+
+    textures.forEach(texture => {
+      const image = texture.image;
+      if (texture.isCompressedTexture && texture.mipmaps) {
+        texture.mipmaps.forEach(mipmap => addArray(mipmap.data));
+      } else if (image && image.data) {
+        addArray(image.data);
+      } else if (image && image.width && image.height) {
+        // Decoded RGBA, plus a third again for the mipmap chain
+        bytes += image.width * image.height * 4 * (texture.generateMipmaps ? 4 / 3 : 1);
+      }
+    });
+    return Math.round(bytes);
+  }
+
+  /**
+   * Free the GPU resources of an object's geometry, materials and textures
+   *
+   * @param {THREE.Object3D} object - Object to dispose
+   * @returns {void}
+   */
+  static disposeObject(object) {
+    object.traverse(child => {
+      if (child.geometry) {
+        child.geometry.dispose();
+      }
+      const materials = Array.isArray(child.material) ? child.material : (child.material ? [child.material] : []);
+      materials.forEach(material => {
+        Object.values(material).forEach(value => {
+          if (value && value.isTexture) value.dispose();
+        });
+        material.dispose();
+      });
     });
   }
 
@@ -188,24 +1073,40 @@ export class ModelLoader {
           }
         });
 
-        if (obj.geometry) {
-          obj.geometry.computeVertexNormals();
-          obj.geometry.normalizeNormals();
-          
-
-          const hasNormalMaps = materials.some(mat => mat.normalMap);
-          if (hasNormalMaps) {
-            obj.geometry.computeTangents();
-          }
-        }
       }
     });
 
+    if (!gltf.geometryProcessed) {
+      ModelLoader.processGeometry(model);
+    }
+
     const box = new THREE.Box3().setFromObject(model);
     model.userData.boundingBox = box;
     return model;
   }
 
+  /**
+   * Recompute mesh normals, and tangents for meshes with normal maps
+   *
+   * The slow part of preparing a model, so the parsing worker runs it
+   * before handing the model back.
+   *
+   * @param {THREE.Object3D} object - Parsed model
+   * @returns {void}
+   */
+  static processGeometry(object) {
+    object.traverse(obj => {
+      if (!obj.isMesh || !obj.material || !obj.geometry) return;
+      obj.geometry.computeVertexNormals();
+      obj.geometry.normalizeNormals();
+
+      const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+      if (materials.some(material => material.normalMap)) {
+        obj.geometry.computeTangents();
+      }
+    });
+  }
+
   processMaterial(material) {
 
     if (material && material.needsUpdate !== undefined) {
@@ -215,11 +1116,19 @@ export class ModelLoader {
 
   dispose() {
 
+    this.stopWorker(new Error('Loading cancelled'));
     if (this.dracoLoader) {
       this.dracoLoader.dispose();
     }
+    if (this.ownsKTX2Loader && this.ktx2Loader) {
+      this.ktx2Loader.dispose();
+      this.ktx2Loader = null;
+    }
 
-    this.cache.clear();
+    this.clearMemoryCache();
+    if (this.persistentCache) {
+      this.persistentCache.close();
+    }
     this.ktx2SetupComplete = false;
   }
 }
@@ -0,0 +1,141 @@
+// Accepted names for each field, first match wins
+const FIELDS = {
+  title: ['title', 'name'],
+  site: ['site', 'siteName', 'location'],
+  surveyDate: ['surveyDate', 'date', 'captureDate'],
+  depth: ['depth'],
+  photographer: ['photographer', 'author', 'creator'],
+  licence: ['licence', 'license'],
+  licenceUrl: ['licenceUrl', 'licenseUrl'],
+  attribution: ['attribution', 'credit'],
+  copyright: ['copyright']
+};
+
+const LABELS = {
+  site: 'Site',
+  surveyDate: 'Survey date',
+  depth: 'Depth',
+  photographer: 'Photographer',
+  licence: 'Licence',
+  attribution: 'Attribution',
+  copyright: 'Copyright'
+};
+
+/**
+ * ModelMetadata - Descriptive information about a model
+ *
+ * Survey models often carry who captured them, where and when, and under
+ * what licence, either in glTF `asset.extras` (or the scene's extras) or in
+ * the page's model config. ModelMetadata reads those into one set of fields,
+ * accepting the names common exporters use, and keeps them on the model's
+ * `userData.metadata`.
+ *
+ * Fields: `title`, `site`, `surveyDate`, `depth` (metres when a number),
+ * `photographer`, `licence`, `licenceUrl`, `attribution` and `copyright`.
+ * Values are kept as plain text; callers displaying them must not treat
+ * them as HTML.
+ *
+ * @class ModelMetadata
+ *
+ * @example
+ * // glTF asset written by the exporter
+ * { "asset": { "version": "2.0", "copyright": "2024 Maritime Museum",
+ *   "extras": { "site": "Sesa", "surveyDate": "2024-03-12", "depth": 32, "license": "CC BY 4.0" } } }
+ *
+ * @since 1.1.0
+ */
+export class ModelMetadata {
+  /**
+   * Read metadata fields from glTF extras or model config
+   *
+   * Accepts `{metadata: {...}}` as well as the fields directly.
+   *
+   * @param {Object|null} source - glTF `asset.extras`, scene extras or a config `metadata` object
+   * @returns {Object|null} The fields found, or null if there are none
+   */
+  static parse(source) {
+    if (!source || typeof source !== 'object') return null;
+    const fields = source.metadata && typeof source.metadata === 'object' ? source.metadata : source;
+    const metadata = {};
+    Object.entries(FIELDS).forEach(([field, names]) => {
+      const name = names.find(key => ModelMetadata.isValue(fields[key]));
+      if (name) metadata[field] = typeof fields[name] === 'number' ? fields[name] : String(fields[name]).trim();
+    });
+    return Object.keys(metadata).length > 0 ? metadata : null;
+  }
+
+  static isValue(value) {
+    return (typeof value === 'string' && value.trim() !== '') ||
+      (typeof value === 'number' && Number.isFinite(value));
+  }
+
+  /**
+   * Read metadata from a parsed glTF
+   *
+   * `asset.extras` and the scene's extras are both read, the scene's
+   * winning; the standard `asset.copyright` field fills `copyright`.
+   *
+   * @param {Object} gltf - Result of GLTFLoader
+   * @returns {Object|null} The metadata, or null if the file has none
+   */
+  static fromGLTF(gltf) {
+    const asset = gltf.asset || {};
+    return ModelMetadata.merge(
+      ModelMetadata.merge(ModelMetadata.parse({ copyright: asset.copyright }), asset.extras),
+      gltf.scene && gltf.scene.userData
+    );
+  }
+
+  /**
+   * Read metadata from a model config entry
+   *
+   * Fields may be written on the entry itself (`{ url, site, license }`) or
+   * in its `metadata` object, which wins. `name` and `credit` are left to
+   * the viewer, which only uses them when nothing else gives a title or
+   * attribution.
+   *
+   * @param {Object|null} entry - Model or part config
+   * @returns {Object|null} The fields found, or null if there are none
+   */
+  static fromConfig(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    const fields = { ...entry };
+    delete fields.name;
+    delete fields.credit;
+    delete fields.metadata;
+    return ModelMetadata.merge(ModelMetadata.parse(fields), entry.metadata);
+  }
+
+  /**
+   * Combine metadata from a file with metadata from config
+   *
+   * @param {Object|null} base - Metadata read from the file
+   * @param {Object|null} override - Fields that win, in any form `parse` accepts
+   * @returns {Object|null} The combined metadata
+   */
+  static merge(base, override) {
+    const fields = ModelMetadata.parse(override);
+    if (!base && !fields) return null;
+    return { ...base, ...fields };
+  }
+
+  /**
+   * List the fields to display, in display order
+   *
+   * `title` and `licenceUrl` are left out: the title heads the list and the
+   * URL belongs on the licence.
+   *
+   * @param {Object|null} metadata - Metadata from `parse` or `merge`
+   * @returns {Array<{field: string, label: string, value: string}>} Labelled values
+   */
+  static entries(metadata) {
+    if (!metadata) return [];
+    return Object.keys(LABELS)
+      .filter(field => ModelMetadata.isValue(metadata[field]))
+      .map(field => ({
+        field,
+        label: LABELS[field],
+        value: field === 'depth' && typeof metadata.depth === 'number' ? `${metadata.depth} m` : String(metadata[field])
+      }));
+  }
+}
@@ -0,0 +1,305 @@
+import * as THREE from 'three';
+import { PointCloud } from './PointCloud.js';
+
+const OBJECT_TYPES = {
+  Object3D: THREE.Object3D,
+  Group: THREE.Group,
+  Mesh: THREE.Mesh,
+  Points: THREE.Points,
+  Line: THREE.Line,
+  LineSegments: THREE.LineSegments,
+  LineLoop: THREE.LineLoop
+};
+
+const MATERIAL_TYPES = {
+  MeshStandardMaterial: THREE.MeshStandardMaterial,
+  MeshPhysicalMaterial: THREE.MeshPhysicalMaterial,
+  MeshBasicMaterial: THREE.MeshBasicMaterial,
+  MeshLambertMaterial: THREE.MeshLambertMaterial,
+  MeshPhongMaterial: THREE.MeshPhongMaterial,
+  PointsMaterial: THREE.PointsMaterial,
+  LineBasicMaterial: THREE.LineBasicMaterial
+};
+
+// Material fields that identify the instance rather than describe its look
+const MATERIAL_SKIP = new Set(['uuid', 'id', 'type', 'version', 'userData', 'defines']);
+
+const TEXTURE_FIELDS = [
+  'name', 'mapping', 'channel', 'wrapS', 'wrapT', 'magFilter', 'minFilter', 'anisotropy',
+  'format', 'internalFormat', 'type', 'rotation', 'generateMipmaps', 'premultiplyAlpha',
+  'flipY', 'unpackAlignment', 'colorSpace'
+];
+
+/**
+ * ModelTransfer - Move parsed models between threads
+ *
+ * Turns a parsed scene into a plain message whose geometry buffers and
+ * decoded images can be transferred with postMessage instead of copied, and
+ * rebuilds the scene from that message on the other side. Geometries,
+ * materials and textures shared between meshes stay shared.
+ *
+ * Only what the loaders produce is supported: meshes, points and lines with
+ * built-in materials, and image, data or compressed textures. Skinned and
+ * instanced meshes throw, so callers can parse those on the main thread.
+ * Lights and cameras become empty objects, as ModelLoader hides them anyway.
+ *
+ * @class ModelTransfer
+ * @since 1.1.0
+ */
+export class ModelTransfer {
+  /**
+   * Describe a scene as a transferable message
+   *
+   * @param {THREE.Object3D} object - Parsed scene
+   * @returns {{message: Object, transfer: Array<ArrayBuffer|ImageBitmap>}} The message,
+   *   and the buffers and images to transfer with it
+   * @throws {Error} If the scene contains objects or materials that cannot be rebuilt
+   */
+  static serialize(object) {
+    const message = { nodes: [], geometries: [], materials: [], textures: [] };
+    const transfer = new Set();
+    const ids = { geometries: new Map(), materials: new Map(), textures: new Map() };
+
+    const addBuffer = array => {
+      if (array && array.buffer) transfer.add(array.buffer);
+      return array;
+    };
+
+    const addTexture = texture => {
+      if (ids.textures.has(texture)) return ids.textures.get(texture);
+      const description = { uuid: texture.uuid, userData: texture.userData };
+      TEXTURE_FIELDS.forEach(field => { description[field] = texture[field]; });
+      description.offset = texture.offset.toArray();
+      description.repeat = texture.repeat.toArray();
+      description.center = texture.center.toArray();
+
+      if (texture.isCompressedTexture && !texture.isCompressedArrayTexture) {
+        description.kind = 'compressed';
+        description.width = texture.image.width;
+        description.height = texture.image.height;
+        description.mipmaps = texture.mipmaps.map(mipmap => ({
+          data: addBuffer(mipmap.data),
+          width: mipmap.width,
+          height: mipmap.height
+        }));
+      } else if (texture.isDataTexture) {
+        description.kind = 'data';
+        description.image = { ...texture.image, data: addBuffer(texture.image.data) };
+      } else if (typeof ImageBitmap !== 'undefined' && texture.image instanceof ImageBitmap) {
+        description.kind = 'image';
+        description.image = texture.image;
+        transfer.add(texture.image);
+      } else {
+        throw new Error(`Texture '${texture.name}' cannot be transferred`);
+      }
+
+      message.textures.push(description);
+      ids.textures.set(texture, message.textures.length - 1);
+      return message.textures.length - 1;
+    };
+
+    const addMaterial = material => {
+      if (ids.materials.has(material)) return ids.materials.get(material);
+      if (!MATERIAL_TYPES[material.type]) {
+        throw new Error(`${material.type} cannot be transferred`);
+      }
+      const description = { type: material.type, userData: material.userData, values: {}, colors: {}, vectors: {}, textures: {} };
+      Object.entries(material).forEach(([key, value]) => {
+        // Properties with setters are stored as '_name'
+        const name = key.startsWith('_') ? key.slice(1) : key;
+        if (MATERIAL_SKIP.has(name) || !(name in material)) return;
+        if (value === null || ['number', 'boolean', 'string'].includes(typeof value)) {
+          description.values[name] = value;
+        } else if (value.isColor) {
+          description.colors[name] = value.toArray();
+        } else if (value.isVector2 || value.isEuler) {
+          description.vectors[name] = value.toArray();
+        } else if (value.isTexture) {
+          description.textures[name] = addTexture(value);
+        }
+      });
+      message.materials.push(description);
+      ids.materials.set(material, message.materials.length - 1);
+      return message.materials.length - 1;
+    };
+
+    const describeAttribute = attribute => {
+      if (attribute.isInterleavedBufferAttribute) {
+        // De-interleaved by hand: the raw values must stay normalised
+        const { array, stride } = attribute.data;
+        const values = new array.constructor(attribute.count * attribute.itemSize);
+        for (let i = 0; i < attribute.count; i++) {
+          for (let k = 0; k < attribute.itemSize; k++) {
+            values[i * attribute.itemSize + k] = array[i * stride + attribute.offset + k];
+          }
+        }
+        return { array: addBuffer(values), itemSize: attribute.itemSize, normalized: attribute.normalized, name: attribute.name };
+      }
+      return { array: addBuffer(attribute.array), itemSize: attribute.itemSize, normalized: attribute.normalized, name: attribute.name };
+    };
+
+    const addGeometry = geometry => {
+      if (ids.geometries.has(geometry)) return ids.geometries.get(geometry);
+      // Bounds are computed here so the receiving thread does not walk the vertices again
+      if (!geometry.boundingBox) geometry.computeBoundingBox();
+      if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+      const description = {
+        attributes: {},
+        morphAttributes: {},
+        morphTargetsRelative: geometry.morphTargetsRelative,
+        index: geometry.index ? describeAttribute(geometry.index) : null,
+        groups: geometry.groups.map(group => ({ ...group })),
+        drawRange: { ...geometry.drawRange },
+        boundingBox: [...geometry.boundingBox.min.toArray(), ...geometry.boundingBox.max.toArray()],
+        boundingSphere: [...geometry.boundingSphere.center.toArray(), geometry.boundingSphere.radius],
+        userData: geometry.userData
+      };
+      Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+        description.attributes[name] = describeAttribute(attribute);
+      });
+      Object.entries(geometry.morphAttributes).forEach(([name, list]) => {
+        description.morphAttributes[name] = list.map(describeAttribute);
+      });
+      // Point cloud colours and intensities live on userData
+      Object.values(geometry.userData).forEach(value => {
+        if (ArrayBuffer.isView(value)) addBuffer(value);
+      });
+      message.geometries.push(description);
+      ids.geometries.set(geometry, message.geometries.length - 1);
+      return message.geometries.length - 1;
+    };
+
+    const addNode = (node, parent) => {
+      let type = node.type;
+      if (node.isLight || node.isCamera) type = 'Object3D';
+      if (node.isScene) type = 'Group';
+      if (!OBJECT_TYPES[type]) {
+        throw new Error(`${node.type} objects cannot be transferred`);
+      }
+      node.updateMatrix();
+      const description = {
+        type,
+        name: node.name,
+        parent,
+        matrix: node.matrix.toArray(),
+        visible: node.visible,
+        userData: node.userData,
+        renderOrder: node.renderOrder
+      };
+      if (node.geometry) description.geometry = addGeometry(node.geometry);
+      if (node.userData.isPointCloud) {
+        // Point clouds get a fresh PointCloud material on the other side
+        description.pointSize = node.material.uniforms.size.value;
+      } else if (node.material) {
+        description.material = Array.isArray(node.material) ? node.material.map(addMaterial) : addMaterial(node.material);
+      }
+      message.nodes.push(description);
+      const index = message.nodes.length - 1;
+      node.children.forEach(child => addNode(child, index));
+    };
+
+    addNode(object, -1);
+    return { message, transfer: [...transfer] };
+  }
+
+  /**
+   * Rebuild a scene from a message created by `serialize`
+   *
+   * @param {Object} message - Message from `serialize`
+   * @returns {THREE.Object3D} The rebuilt scene
+   */
+  static deserialize(message) {
+    // Textures that differ only in sampling share one image upload
+    const sources = new Map();
+    const textures = message.textures.map(description => {
+      const texture = ModelTransfer._createTexture(description);
+      if (description.kind === 'image') {
+        if (sources.has(description.image)) texture.source = sources.get(description.image);
+        else sources.set(description.image, texture.source);
+      }
+      return texture;
+    });
+    const materials = message.materials.map(description => {
+      const material = new MATERIAL_TYPES[description.type]();
+      Object.entries(description.values).forEach(([name, value]) => { material[name] = value; });
+      Object.entries(description.colors).forEach(([name, value]) => material[name].fromArray(value));
+      Object.entries(description.vectors).forEach(([name, value]) => material[name].fromArray(value));
+      Object.entries(description.textures).forEach(([name, index]) => { material[name] = textures[index]; });
+      material.userData = description.userData;
+      return material;
+    });
+    const geometries = message.geometries.map(ModelTransfer._createGeometry);
+
+    const nodes = [];
+    message.nodes.forEach(description => {
+      let node;
+      if (description.pointSize !== undefined) {
+        node = new THREE.Points(geometries[description.geometry], PointCloud.createMaterial(description.pointSize));
+      } else if (description.geometry !== undefined) {
+        const material = Array.isArray(description.material)
+          ? description.material.map(index => materials[index])
+          : materials[description.material];
+        node = new OBJECT_TYPES[description.type](geometries[description.geometry], material);
+      } else {
+        node = new OBJECT_TYPES[description.type]();
+      }
+      node.name = description.name;
+      node.matrix.fromArray(description.matrix);
+      node.matrix.decompose(node.position, node.quaternion, node.scale);
+      node.visible = description.visible;
+      node.userData = description.userData;
+      node.renderOrder = description.renderOrder;
+      if (description.parent >= 0) nodes[description.parent].add(node);
+      nodes.push(node);
+    });
+    return nodes[0];
+  }
+
+  static _createTexture(description) {
+    let texture;
+    if (description.kind === 'compressed') {
+      texture = new THREE.CompressedTexture(description.mipmaps, description.width, description.height);
+    } else if (description.kind === 'data') {
+      texture = new THREE.DataTexture(description.image.data, description.image.width, description.image.height);
+    } else {
+      texture = new THREE.Texture(description.image);
+    }
+    TEXTURE_FIELDS.forEach(field => { texture[field] = description[field]; });
+    texture.offset.fromArray(description.offset);
+    texture.repeat.fromArray(description.repeat);
+    texture.center.fromArray(description.center);
+    texture.userData = description.userData;
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  static _createGeometry(description) {
+    const createAttribute = ({ array, itemSize, normalized, name }) => {
+      const attribute = new THREE.BufferAttribute(array, itemSize, normalized);
+      attribute.name = name;
+      return attribute;
+    };
+    const geometry = new THREE.BufferGeometry();
+    Object.entries(description.attributes).forEach(([name, attribute]) => {
+      geometry.setAttribute(name, createAttribute(attribute));
+    });
+    Object.entries(description.morphAttributes).forEach(([name, list]) => {
+      geometry.morphAttributes[name] = list.map(createAttribute);
+    });
+    geometry.morphTargetsRelative = description.morphTargetsRelative;
+    if (description.index) geometry.setIndex(createAttribute(description.index));
+    description.groups.forEach(({ start, count, materialIndex }) => geometry.addGroup(start, count, materialIndex));
+    geometry.setDrawRange(description.drawRange.start, description.drawRange.count);
+    geometry.userData = description.userData;
+    if (description.boundingBox) {
+      const [minX, minY, minZ, maxX, maxY, maxZ] = description.boundingBox;
+      geometry.boundingBox = new THREE.Box3(new THREE.Vector3(minX, minY, minZ), new THREE.Vector3(maxX, maxY, maxZ));
+      const [x, y, z, radius] = description.boundingSphere;
+      geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(x, y, z), radius);
+    } else {
+      geometry.computeBoundingBox();
+      geometry.computeBoundingSphere();
+    }
+    return geometry;
+  }
+}
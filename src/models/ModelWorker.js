@@ -0,0 +1,38 @@
+import { ModelLoader } from './ModelLoader.js';
+import { ModelTransfer } from './ModelTransfer.js';
+
+/**
+ * Model parsing worker
+ *
+ * Parses model bytes with the same loaders ModelLoader uses on the main
+ * thread, computes normals and tangents, and posts the scene back as
+ * transferable buffers (see ModelTransfer). Started by ModelLoader; each
+ * message is `{id, url, data, options}` and is answered with `{id, scene}`
+ * or `{id, error}`.
+ */
+
+let loader = null;
+
+self.onmessage = async ({ data: { id, url, data, options } }) => {
+  try {
+    if (!loader) {
+      loader = new ModelLoader(null, {
+        dracoDecoderPath: options.dracoDecoderPath,
+        ktx2TranscoderPath: options.ktx2TranscoderPath,
+        workerParsing: false
+      });
+    }
+    loader.pointCloudOptions = { ...options.pointCloud };
+    // Compressed texture support can only be detected with the page's renderer
+    if (loader.ktx2Loader && options.ktx2Config && !loader.ktx2Loader.workerConfig) {
+      loader.ktx2Loader.workerConfig = options.ktx2Config;
+    }
+
+    const parsed = await loader.parseModel(data, url);
+    ModelLoader.processGeometry(parsed.scene);
+    const { message, transfer } = ModelTransfer.serialize(parsed.scene);
+    self.postMessage({ id, scene: message }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error && error.message ? error.message : String(error) });
+  }
+};
@@ -0,0 +1,371 @@
+import * as THREE from 'three';
+
+const COLOR_MODES = ['rgb', 'height', 'intensity'];
+
+// Byte offset of the red channel in each LAS point data record format
+const LAS_RGB_OFFSETS = { 2: 20, 3: 28, 5: 28, 7: 30, 8: 30, 10: 30 };
+
+const vertexShader = /* glsl */`
+uniform float size;
+uniform float scale;
+varying vec3 vViewPosition;
+
+#include <common>
+#include <color_pars_vertex>
+#include <fog_pars_vertex>
+#include <logdepthbuf_pars_vertex>
+#include <clipping_planes_pars_vertex>
+
+void main() {
+  #include <color_vertex>
+  #include <begin_vertex>
+  #include <project_vertex>
+
+  // Size is in world units, so points grow as the viewer swims closer
+  gl_PointSize = size;
+  if ( isPerspectiveMatrix( projectionMatrix ) ) gl_PointSize *= scale / - mvPosition.z;
+  vViewPosition = - mvPosition.xyz;
+
+  #include <logdepthbuf_vertex>
+  #include <clipping_planes_vertex>
+  #include <fog_vertex>
+}
+`;
+
+const fragmentShader = /* glsl */`
+uniform float opacity;
+varying vec3 vViewPosition;
+
+#include <common>
+#include <color_pars_fragment>
+#include <fog_pars_fragment>
+#include <lights_pars_begin>
+#include <logdepthbuf_pars_fragment>
+#include <clipping_planes_pars_fragment>
+
+void main() {
+  #include <clipping_planes_fragment>
+
+  vec2 offset = gl_PointCoord - 0.5;
+  if ( dot( offset, offset ) > 0.25 ) discard;
+
+  vec4 diffuseColor = vec4( vec3( 1.0 ), opacity );
+  #include <logdepthbuf_fragment>
+  #include <color_fragment>
+
+  // Points have no surface orientation: treat each one as facing the viewer
+  // and wrap the lighting so points lit from behind do not turn black
+  vec3 geometryPosition = - vViewPosition;
+  vec3 normal = normalize( vViewPosition );
+  vec3 irradiance = getAmbientLightIrradiance( ambientLightColor );
+  IncidentLight directLight;
+
+  #if NUM_HEMI_LIGHTS > 0
+    for ( int i = 0; i < NUM_HEMI_LIGHTS; i ++ ) {
+      irradiance += getHemisphereLightIrradiance( hemisphereLights[ i ], normal );
+    }
+  #endif
+
+  #if NUM_DIR_LIGHTS > 0
+    for ( int i = 0; i < NUM_DIR_LIGHTS; i ++ ) {
+      getDirectionalLightInfo( directionalLights[ i ], directLight );
+      irradiance += ( 0.5 * dot( normal, directLight.direction ) + 0.5 ) * directLight.color;
+    }
+  #endif
+
+  #if NUM_POINT_LIGHTS > 0
+    for ( int i = 0; i < NUM_POINT_LIGHTS; i ++ ) {
+      getPointLightInfo( pointLights[ i ], geometryPosition, directLight );
+      irradiance += ( 0.5 * dot( normal, directLight.direction ) + 0.5 ) * directLight.color;
+    }
+  #endif
+
+  #if NUM_SPOT_LIGHTS > 0
+    for ( int i = 0; i < NUM_SPOT_LIGHTS; i ++ ) {
+      getSpotLightInfo( spotLights[ i ], geometryPosition, directLight );
+      irradiance += ( 0.5 * dot( normal, directLight.direction ) + 0.5 ) * directLight.color;
+    }
+  #endif
+
+  gl_FragColor = vec4( BRDF_Lambert( diffuseColor.rgb ) * irradiance, diffuseColor.a );
+
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+  #include <fog_fragment>
+}
+`;
+
+/**
+ * PointCloud - Point cloud parsing and display
+ *
+ * Turns LAS surveys and PLY point sets into THREE.Points drawn with a lit
+ * point material, so clouds respond to the survey lights and dive torch and
+ * fade into scene fog like meshes do. Points can be coloured by their
+ * recorded RGB, by height, or by return intensity.
+ *
+ * LAS coordinates are Z-up and usually georeferenced; they are converted to
+ * the scene's Y-up convention (north along -Z) and centred on the cloud's
+ * bounds, with the removed origin kept in `userData.pointCloud.origin`.
+ *
+ * @class PointCloud
+ * @since 1.1.0
+ */
+export class PointCloud {
+  /**
+   * Whether bytes are a LAS or LAZ file
+   *
+   * @param {ArrayBuffer} data - File bytes
+   * @returns {boolean} True if the data starts with the LAS signature
+   */
+  static isLAS(data) {
+    if (!data || data.byteLength < 4) return false;
+    const bytes = new Uint8Array(data, 0, 4);
+    return String.fromCharCode(...bytes) === 'LASF';
+  }
+
+  /**
+   * Whether a LAS file's point records are LAZ-compressed
+   *
+   * @param {ArrayBuffer} data - LAS/LAZ file bytes
+   * @returns {boolean} True if the point data needs decompressing first
+   */
+  static isCompressedLAS(data) {
+    return PointCloud.isLAS(data) && data.byteLength > 104 && (new DataView(data).getUint8(104) & 0x80) !== 0;
+  }
+
+  /**
+   * Parse an uncompressed LAS file (versions 1.0 to 1.4)
+   *
+   * @param {ArrayBuffer} data - LAS file bytes
+   * @returns {THREE.BufferGeometry} Geometry with positions in scene space; recorded
+   *   colours, intensities and the removed origin are kept on `geometry.userData`
+   */
+  static parseLAS(data) {
+    if (!PointCloud.isLAS(data)) {
+      throw new Error('Not a LAS file');
+    }
+    if (PointCloud.isCompressedLAS(data)) {
+      throw new Error('LAZ point data must be decompressed before parsing');
+    }
+
+    const view = new DataView(data);
+    const versionMinor = view.getUint8(25);
+    const pointOffset = view.getUint32(96, true);
+    const format = view.getUint8(104) & 0x3f;
+    const recordLength = view.getUint16(105, true);
+    let count = view.getUint32(107, true);
+    if (versionMinor >= 4 && count === 0) {
+      count = Number(view.getBigUint64(247, true));
+    }
+    count = Math.min(count, Math.floor((data.byteLength - pointOffset) / recordLength));
+
+    const scale = [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)];
+    const offset = [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)];
+    const origin = {
+      x: (view.getFloat64(179, true) + view.getFloat64(187, true)) / 2,
+      y: (view.getFloat64(195, true) + view.getFloat64(203, true)) / 2,
+      z: (view.getFloat64(211, true) + view.getFloat64(219, true)) / 2
+    };
+
+    const positions = new Float32Array(count * 3);
+    const intensity = new Float32Array(count);
+    const rgbOffset = LAS_RGB_OFFSETS[format];
+    const colors = rgbOffset !== undefined ? new Float32Array(count * 3) : null;
+    let maxIntensity = 0;
+    let maxColor = 0;
+
+    for (let i = 0; i < count; i++) {
+      const record = pointOffset + i * recordLength;
+      const x = view.getInt32(record, true) * scale[0] + offset[0] - origin.x;
+      const y = view.getInt32(record + 4, true) * scale[1] + offset[1] - origin.y;
+      const z = view.getInt32(record + 8, true) * scale[2] + offset[2] - origin.z;
+      // Easting, northing, elevation to the scene's x, y (up), z (south)
+      positions[i * 3] = x;
+      positions[i * 3 + 1] = z;
+      positions[i * 3 + 2] = -y;
+
+      intensity[i] = view.getUint16(record + 12, true);
+      maxIntensity = Math.max(maxIntensity, intensity[i]);
+
+      if (colors) {
+        for (let channel = 0; channel < 3; channel++) {
+          colors[i * 3 + channel] = view.getUint16(record + rgbOffset + channel * 2, true);
+          maxColor = Math.max(maxColor, colors[i * 3 + channel]);
+        }
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    if (maxIntensity > 0) {
+      intensity.forEach((value, i) => { intensity[i] = value / maxIntensity; });
+      geometry.userData.intensity = intensity;
+    }
+    if (colors && maxColor > 0) {
+      // The spec says 16-bit colour, but many writers store 8-bit values
+      const range = maxColor <= 255 ? 255 : 65535;
+      const color = new THREE.Color();
+      for (let i = 0; i < count; i++) {
+        color.setRGB(colors[i * 3] / range, colors[i * 3 + 1] / range, colors[i * 3 + 2] / range, THREE.SRGBColorSpace);
+        color.toArray(colors, i * 3);
+      }
+      geometry.userData.sourceColors = colors;
+    }
+    geometry.userData.origin = origin;
+    return geometry;
+  }
+
+  /**
+   * Create a displayable point cloud from point geometry
+   *
+   * A `color` attribute is taken as the recorded RGB and an `intensity`
+   * attribute as return intensity; both move to `geometry.userData` and the
+   * displayed colours are rebuilt from them by `setColorMode`.
+   *
+   * @param {THREE.BufferGeometry} geometry - Point positions and optional attributes
+   * @param {Object} [options={}] - Display options
+   * @param {number} [options.size=0.05] - Point size in world units
+   * @param {string} [options.colorMode='rgb'] - 'rgb', 'height' or 'intensity'
+   * @returns {THREE.Points} The point cloud, flagged with `userData.isPointCloud`
+   */
+  static create(geometry, { size = 0.05, colorMode = 'rgb' } = {}) {
+    if (geometry.attributes.color && !geometry.userData.sourceColors) {
+      // Copied because the displayed colours are rewritten in place
+      geometry.userData.sourceColors = geometry.attributes.color.array.slice();
+    }
+    if (geometry.attributes.intensity) {
+      const values = geometry.attributes.intensity.array;
+      const max = values.reduce((result, value) => Math.max(result, value), 0);
+      geometry.userData.intensity = max > 0 ? values.map(value => value / max) : values;
+      geometry.deleteAttribute('intensity');
+    }
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    const points = new THREE.Points(geometry, PointCloud.createMaterial(size));
+    points.name = 'PointCloud';
+    points.userData.isPointCloud = true;
+    points.userData.pointCloud = {
+      count: geometry.attributes.position.count,
+      origin: geometry.userData.origin || null,
+      colorMode: null
+    };
+
+    PointCloud.setColorMode(points, colorMode);
+    return points;
+  }
+
+  /**
+   * Create the lit, fogged point material
+   *
+   * @param {number} [size=0.05] - Point size in world units
+   * @returns {THREE.ShaderMaterial} Point material
+   */
+  static createMaterial(size = 0.05) {
+    const material = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.merge([
+        THREE.UniformsLib.lights,
+        THREE.UniformsLib.fog,
+        {
+          size: { value: size },
+          scale: { value: 1 },
+          opacity: { value: 1 }
+        }
+      ]),
+      vertexShader,
+      fragmentShader,
+      vertexColors: true,
+      lights: true,
+      fog: true
+    });
+
+    // Lives on the material so clones of a cached model keep it
+    const drawingBufferSize = new THREE.Vector2();
+    material.onBeforeRender = renderer => {
+      // Same projection scale three.js uses for attenuated PointsMaterial
+      renderer.getDrawingBufferSize(drawingBufferSize);
+      material.uniforms.scale.value = drawingBufferSize.y / 2;
+      material.uniformsNeedUpdate = true;
+    };
+    return material;
+  }
+
+  /**
+   * Recolour a point cloud
+   *
+   * Falls back to height colouring when the cloud has no data for the
+   * requested mode (for example RGB on a cloud without colours).
+   *
+   * @param {THREE.Points} points - Point cloud from `create`
+   * @param {string} mode - 'rgb', 'height' or 'intensity'
+   * @returns {string} The mode that was applied
+   */
+  static setColorMode(points, mode) {
+    const geometry = points.geometry;
+    const { sourceColors, intensity } = geometry.userData;
+    if (!COLOR_MODES.includes(mode)) {
+      console.warn(`[PointCloud] Unknown colour mode '${mode}', using height`);
+    }
+    let applied = mode;
+    if ((mode === 'rgb' && !sourceColors) || (mode === 'intensity' && !intensity) || !COLOR_MODES.includes(mode)) {
+      applied = 'height';
+    }
+
+    const position = geometry.attributes.position;
+    let attribute = geometry.attributes.color;
+    if (!attribute || attribute.count !== position.count || attribute.itemSize !== 3) {
+      attribute = new THREE.Float32BufferAttribute(new Float32Array(position.count * 3), 3);
+      geometry.setAttribute('color', attribute);
+    }
+    const colors = attribute.array;
+    if (applied === 'rgb') {
+      colors.set(sourceColors);
+    } else {
+      const color = new THREE.Color();
+      const minY = geometry.boundingBox.min.y;
+      const rangeY = geometry.boundingBox.max.y - minY || 1;
+      for (let i = 0; i < position.count; i++) {
+        if (applied === 'intensity') {
+          color.setScalar(intensity[i]);
+        } else {
+          // Blue at the deepest point through to red at the highest
+          color.setHSL((1 - (position.getY(i) - minY) / rangeY) * 0.66, 1, 0.5);
+        }
+        color.toArray(colors, i * 3);
+      }
+    }
+
+    attribute.needsUpdate = true;
+    points.userData.pointCloud.colorMode = applied;
+    return applied;
+  }
+
+  /**
+   * Set the displayed point size
+   *
+   * @param {THREE.Points} points - Point cloud from `create`
+   * @param {number} size - Point size in world units
+   * @returns {void}
+   */
+  static setPointSize(points, size) {
+    points.material.uniforms.size.value = size;
+    points.material.uniformsNeedUpdate = true;
+  }
+
+  /**
+   * Pick a raycast threshold that makes the visible points clickable
+   *
+   * @param {THREE.Object3D[]} objects - Raycast targets
+   * @returns {number} Largest point radius among the point clouds in world units, or 0 if there are none
+   */
+  static getRaycastThreshold(objects) {
+    let threshold = 0;
+    objects.forEach(object => {
+      if (object.userData && object.userData.isPointCloud) {
+        const scale = object.matrixWorld.getMaxScaleOnAxis() || 1;
+        threshold = Math.max(threshold, (object.material.uniforms.size.value / 2) * scale);
+      }
+    });
+    return threshold;
+  }
+}
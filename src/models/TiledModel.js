@@ -0,0 +1,499 @@
+import * as THREE from 'three';
+import { ModelLoader } from './ModelLoader.js';
+
+// WGS84 ellipsoid, for region bounding volumes and georeferenced tilesets
+const WGS84_RADIUS = 6378137;
+const WGS84_ECCENTRICITY_SQ = 6.69437999014e-3;
+// Tilesets centred further than this from the origin are taken to be earth-centred
+const ECEF_THRESHOLD = 1e6;
+
+/**
+ * TiledModel - Streams a 3D Tiles tileset with screen-space-error LOD
+ *
+ * Loads the coarsest tiles first and, each frame, refines towards
+ * higher-detail tiles wherever a tile's geometric error would cover more
+ * than `maxScreenSpaceError` pixels on screen. Tiles are fetched a few at a
+ * time, nearest-to-needed first, and least recently used tiles are disposed
+ * once their estimated size passes `maxMemory`.
+ *
+ * Supports tileset.json files (3D Tiles 1.0 and 1.1) with glTF, GLB and
+ * b3dm tile content, external tilesets, ADD and REPLACE refinement and box,
+ * sphere and region bounding volumes. Tilesets are Z-up; they are turned to
+ * the scene's Y-up convention, and earth-centred tilesets are moved to a
+ * local east-north-up frame at their centre.
+ *
+ * Dispatches `progress` events ({ loaded, loading, bytes }) as tiles stream in,
+ * and at most one `contentchange` event ({ added, removed }) per `update`
+ * listing the tile content groups loaded and unloaded since the last one.
+ *
+ * @class TiledModel
+ * @extends THREE.Group
+ * @since 1.1.0
+ */
+export class TiledModel extends THREE.Group {
+  /**
+   * @param {string} url - URL of the tileset.json
+   * @param {Object} tileset - Parsed tileset JSON
+   * @param {ModelLoader} loader - Loader used to fetch and parse tile content
+   * @param {Object} [options={}] - Streaming options
+   * @param {number} [options.maxScreenSpaceError=16] - Refine tiles whose error covers more pixels than this
+   * @param {number} [options.maxConcurrentRequests=4] - Tiles downloaded at once
+   * @param {number} [options.maxMemory=268435456] - Estimated bytes of tile content to keep loaded
+   */
+  constructor(url, tileset, loader, { maxScreenSpaceError = 16, maxConcurrentRequests = 4, maxMemory = 256 * 1024 * 1024 } = {}) {
+    super();
+    this.isTiledModel = true;
+    this.name = 'TiledModel';
+    this.url = url;
+    this.loader = loader;
+    this.maxScreenSpaceError = maxScreenSpaceError;
+    this.maxConcurrentRequests = maxConcurrentRequests;
+    this.maxMemory = maxMemory;
+    this.gltfUpAxis = (tileset.asset && tileset.asset.gltfUpAxis) || 'Y';
+
+    this._loaded = new Set();
+    this._requests = new Map();
+    this._active = 0;
+    this._bytes = 0;
+    this._added = [];
+    this._removed = [];
+    this._frame = 0;
+    this._disposed = false;
+    this._frustum = new THREE.Frustum();
+    this._matrix = new THREE.Matrix4();
+    this._sphere = new THREE.Sphere();
+    this._cameraPosition = new THREE.Vector3();
+    this._drawingBufferSize = new THREE.Vector2();
+    this._camera = null;
+
+    this.tilesetRoot = new THREE.Group();
+    this.tilesetRoot.matrixAutoUpdate = false;
+    this.add(this.tilesetRoot);
+    this.root = this._createTile(tileset.root, null, THREE.LoaderUtils.extractUrlBase(url));
+
+    const center = this.root.sphere.center.clone().applyMatrix4(this.root.group.matrix);
+    const zUpToYUp = new THREE.Matrix4().makeRotationX(-Math.PI / 2);
+    const ecefOrigin = center.length() > ECEF_THRESHOLD ? center : null;
+    if (ecefOrigin) {
+      // Earth-centred coordinates: work in a local east-north-up frame instead
+      zUpToYUp.multiply(TiledModel.eastNorthUpFrame(ecefOrigin).invert());
+    }
+    this.tilesetRoot.matrix.copy(zUpToYUp);
+    this.userData.tileset = {
+      url,
+      asset: tileset.asset || {},
+      ecefOrigin: ecefOrigin ? ecefOrigin.toArray() : null
+    };
+  }
+
+  /**
+   * Load the coarsest tiles with content, so there is something to show
+   *
+   * @param {Object} [options={}] - Load options
+   * @param {Function|null} [options.onProgress=null] - Called with {loaded, total, lengthComputable} bytes
+   * @param {AbortSignal|null} [options.signal=null] - Cancels the load
+   * @returns {Promise<TiledModel>} This model
+   */
+  async loadRoot({ onProgress = null, signal = null } = {}) {
+    const progress = new Map();
+    const report = tile => event => {
+      progress.set(tile, event);
+      if (!onProgress) return;
+      const events = [...progress.values()];
+      const loaded = events.reduce((total, entry) => total + entry.loaded, 0);
+      const total = events.reduce((sum, entry) => sum + (entry.total || entry.loaded), 0);
+      onProgress({ loaded, total, lengthComputable: events.every(entry => entry.lengthComputable) });
+    };
+
+    let layer = [this.root];
+    while (layer.length > 0) {
+      const loading = layer.filter(tile => tile.state === 'unloaded');
+      await Promise.all(loading.map(tile => this._load(tile, { signal, onProgress: report(tile) })));
+      if (signal && signal.aborted) {
+        throw new Error('Loading cancelled');
+      }
+      const shown = loading.filter(tile => tile.content && tile.content.children.length > 0);
+      if (shown.length > 0) {
+        shown.forEach(tile => {
+          // Never unloaded, so there is always a coarse version to fall back to
+          tile.keep = true;
+          tile.content.visible = true;
+        });
+        return this;
+      }
+      // Tiles without content or with external tilesets: look one level deeper
+      layer = layer.flatMap(tile => tile.children);
+    }
+    throw new Error(`Tileset ${this.url} has no loadable content`);
+  }
+
+  /**
+   * Pick the tiles to show for a camera and queue the ones still missing
+   *
+   * Call once per frame before rendering; BelowViewer does this for every
+   * tiled model it has loaded, on desktop and in VR.
+   *
+   * @param {THREE.Camera} camera - Camera the scene is rendered from
+   * @param {THREE.WebGLRenderer} renderer - Renderer, for the screen height
+   * @returns {void}
+   */
+  update(camera, renderer) {
+    if (this._disposed) return;
+    this._frame++;
+    this.updateMatrixWorld(true);
+    camera.updateMatrixWorld();
+    this._frustum.setFromProjectionMatrix(
+      this._matrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    );
+    this._cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+    renderer.getDrawingBufferSize(this._drawingBufferSize);
+    this._camera = camera;
+
+    this._loaded.forEach(tile => { tile.content.visible = false; });
+    this._requests.clear();
+    this._traverse(this.root);
+
+    [...this._requests.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, Math.max(0, this.maxConcurrentRequests - this._active))
+      .forEach(([tile]) => this._load(tile));
+
+    this._unloadUnused();
+    this._dispatchContentChange();
+  }
+
+  /**
+   * Report streaming state
+   *
+   * @returns {{tiles: number, loaded: number, loading: number, bytes: number, maxMemory: number}}
+   *   Tile counts and the estimated size of loaded tile content
+   */
+  getStats() {
+    let tiles = 0;
+    const count = tile => {
+      tiles++;
+      tile.children.forEach(count);
+    };
+    count(this.root);
+    return { tiles, loaded: this._loaded.size, loading: this._active, bytes: this._bytes, maxMemory: this.maxMemory };
+  }
+
+  /**
+   * Cancel downloads and free every loaded tile
+   *
+   * @returns {void}
+   */
+  dispose() {
+    this._disposed = true;
+    const release = tile => {
+      if (tile.controller) tile.controller.abort();
+      tile.children.forEach(release);
+    };
+    release(this.root);
+    [...this._loaded].forEach(tile => this._unload(tile));
+    this._added = [];
+    this._removed = [];
+  }
+
+  _traverse(tile) {
+    if (!this._isVisible(tile)) return;
+    tile.lastUsed = this._frame;
+    const error = this._screenSpaceError(tile);
+
+    if (error <= this.maxScreenSpaceError || tile.children.length === 0) {
+      this._show(tile, error);
+      return;
+    }
+    if (tile.refine === 'ADD') {
+      this._show(tile, error);
+      tile.children.forEach(child => this._traverse(child));
+      return;
+    }
+
+    // REPLACE: keep drawing this tile until every visible child can take over
+    const children = tile.children.filter(child => this._isVisible(child));
+    if (children.every(child => this._isReady(child))) {
+      children.forEach(child => this._traverse(child));
+    } else {
+      this._show(tile, error);
+      children.forEach(child => this._request(child, error));
+    }
+  }
+
+  _show(tile, priority) {
+    if (tile.state === 'loaded') {
+      if (tile.content) tile.content.visible = true;
+    } else {
+      this._request(tile, priority);
+    }
+  }
+
+  _request(tile, priority) {
+    if (tile.state === 'unloaded') {
+      this._requests.set(tile, Math.max(priority, this._requests.get(tile) || 0));
+    } else if (tile.state === 'loaded' && (!tile.content || tile.content.children.length === 0)) {
+      // Tiles without content (or with an external tileset) wait on their children
+      tile.children.filter(child => this._isVisible(child)).forEach(child => this._request(child, priority));
+    }
+  }
+
+  _isReady(tile) {
+    if (tile.state !== 'loaded') return false;
+    // A tile without content is drawn by its children
+    if (!tile.content || tile.content.children.length === 0) {
+      return tile.children.every(child => this._isReady(child));
+    }
+    return true;
+  }
+
+  _isVisible(tile) {
+    this._sphere.copy(tile.sphere).applyMatrix4(tile.group.matrixWorld);
+    return this._frustum.intersectsSphere(this._sphere);
+  }
+
+  _screenSpaceError(tile) {
+    this._sphere.copy(tile.sphere).applyMatrix4(tile.group.matrixWorld);
+    const error = tile.geometricError * tile.group.matrixWorld.getMaxScaleOnAxis();
+    const height = this._drawingBufferSize.y;
+    if (this._camera.isOrthographicCamera) {
+      return (error * height * this._camera.zoom) / (this._camera.top - this._camera.bottom);
+    }
+    const distance = Math.max(this._sphere.distanceToPoint(this._cameraPosition), 1e-6);
+    // projectionMatrix[5] is 1 / tan(fov / 2)
+    return (error * height * this._camera.projectionMatrix.elements[5]) / (2 * distance);
+  }
+
+  _unloadUnused() {
+    if (this._bytes <= this.maxMemory) return;
+    const candidates = [...this._loaded]
+      .filter(tile => tile.lastUsed < this._frame && !tile.keep && tile.bytes > 0)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+    let unloaded = false;
+    for (const tile of candidates) {
+      if (this._bytes <= this.maxMemory) break;
+      this._unload(tile);
+      unloaded = true;
+    }
+    if (unloaded) this._dispatchProgress();
+  }
+
+  _unload(tile) {
+    if (tile.content) {
+      tile.group.remove(tile.content);
+      ModelLoader.disposeObject(tile.content);
+    }
+    this._bytes -= tile.bytes;
+    this._loaded.delete(tile);
+    if (tile.content) this._removed.push(tile.content);
+    tile.content = null;
+    tile.bytes = 0;
+    tile.state = 'unloaded';
+  }
+
+  async _load(tile, { signal = null, onProgress = null } = {}) {
+    tile.state = 'loading';
+    const controller = new AbortController();
+    if (signal) signal.addEventListener('abort', () => controller.abort());
+    tile.controller = controller;
+    this._active++;
+    this._dispatchProgress();
+
+    try {
+      const content = new THREE.Group();
+      for (const url of tile.contents) {
+        const object = await this._loadContent(tile, url, controller.signal, onProgress);
+        if (object) content.add(object);
+      }
+      if (this._disposed || controller.signal.aborted) {
+        ModelLoader.disposeObject(content);
+        tile.state = 'unloaded';
+        return;
+      }
+      content.visible = false;
+      tile.group.add(content);
+      tile.content = content;
+      tile.bytes = ModelLoader.estimateMemory(content);
+      tile.state = 'loaded';
+      this._bytes += tile.bytes;
+      this._loaded.add(tile);
+      this._added.push(content);
+    } catch (error) {
+      if (controller.signal.aborted || error.message === 'Loading cancelled') {
+        tile.state = 'unloaded';
+      } else {
+        // Left failed so a broken tile is not requested every frame
+        tile.state = 'failed';
+        console.warn(`[TiledModel] Failed to load tile content ${tile.contents.join(', ')}:`, error);
+      }
+    } finally {
+      tile.controller = null;
+      this._active--;
+      this._dispatchProgress();
+    }
+  }
+
+  async _loadContent(tile, url, signal, onProgress) {
+    const data = await this.loader.loadData(url, onProgress, signal);
+    const magic = String.fromCharCode(...new Uint8Array(data, 0, Math.min(4, data.byteLength)));
+
+    if (magic === 'b3dm') {
+      const { glb, rtcCenter } = TiledModel.parseB3DM(data);
+      const reload = async () => TiledModel.parseB3DM(await this.loader.loadData(url, null, signal)).glb;
+      const object = this._toZUp(this.loader.processModel(await this.loader.parseOffThread(glb, url, signal, reload)));
+      if (rtcCenter) object.position.fromArray(rtcCenter);
+      return object;
+    }
+    if (['pnts', 'i3dm', 'cmpt'].includes(magic)) {
+      throw new Error(`Unsupported tile content format '${magic}'`);
+    }
+    const format = ModelLoader.detectFormat(url, data);
+    if (format === 'tiles') {
+      const tileset = JSON.parse(new TextDecoder().decode(data));
+      tile.children.push(this._createTile(tileset.root, tile, THREE.LoaderUtils.extractUrlBase(url)));
+      return null;
+    }
+    const object = this.loader.processModel(await this.loader.parseOffThread(data, url, signal));
+    return format === 'gltf' ? this._toZUp(object) : object;
+  }
+
+  _toZUp(object) {
+    // glTF content is Y-up; 3D Tiles content space is Z-up
+    const wrapper = new THREE.Group();
+    if (this.gltfUpAxis.toUpperCase() === 'Y') wrapper.rotation.x = Math.PI / 2;
+    wrapper.add(object);
+    return wrapper;
+  }
+
+  _createTile(json, parent, basePath) {
+    const group = new THREE.Group();
+    group.matrixAutoUpdate = false;
+    if (json.transform) group.matrix.fromArray(json.transform);
+    (parent ? parent.group : this.tilesetRoot).add(group);
+
+    const contents = json.contents || (json.content ? [json.content] : []);
+    const tile = {
+      group,
+      sphere: TiledModel.boundingSphere(json.boundingVolume),
+      geometricError: json.geometricError !== undefined ? json.geometricError : (parent ? parent.geometricError : 0),
+      refine: (json.refine || (parent ? parent.refine : 'REPLACE')).toUpperCase(),
+      contents: contents.map(content => THREE.LoaderUtils.resolveURL(content.uri || content.url, basePath)),
+      children: [],
+      state: contents.length > 0 ? 'unloaded' : 'loaded',
+      content: null,
+      bytes: 0,
+      lastUsed: -1,
+      keep: false,
+      controller: null
+    };
+    tile.children = (json.children || []).map(child => this._createTile(child, tile, basePath));
+    return tile;
+  }
+
+  _dispatchContentChange() {
+    if (this._added.length === 0 && this._removed.length === 0) return;
+    // Content loaded and unloaded between two updates never reached the scene
+    const removed = new Set(this._removed);
+    const added = this._added.filter(content => !removed.has(content));
+    const addedSet = new Set(this._added);
+    const event = { type: 'contentchange', added, removed: this._removed.filter(content => !addedSet.has(content)) };
+    this._added = [];
+    this._removed = [];
+    if (event.added.length > 0 || event.removed.length > 0) this.dispatchEvent(event);
+  }
+
+  _dispatchProgress() {
+    this.dispatchEvent({ type: 'progress', loaded: this._loaded.size, loading: this._active, bytes: this._bytes });
+  }
+
+  /**
+   * Bounding sphere of a 3D Tiles bounding volume
+   *
+   * Region volumes are in earth-centred coordinates and ignore tile transforms.
+   *
+   * @param {{box?: number[], sphere?: number[], region?: number[]}} volume - Tile bounding volume
+   * @returns {THREE.Sphere} Sphere enclosing the volume
+   */
+  static boundingSphere(volume = {}) {
+    if (volume.sphere) {
+      return new THREE.Sphere(new THREE.Vector3().fromArray(volume.sphere), volume.sphere[3]);
+    }
+    if (volume.box) {
+      const b = volume.box;
+      // Half-axes from the centre; the far corner is their sum
+      const radius = Math.hypot(b[3], b[4], b[5], b[6], b[7], b[8], b[9], b[10], b[11]);
+      return new THREE.Sphere(new THREE.Vector3(b[0], b[1], b[2]), radius);
+    }
+    if (volume.region) {
+      const [west, south, east, north, minHeight, maxHeight] = volume.region;
+      const box = new THREE.Box3();
+      [west, (west + east) / 2, east].forEach(longitude => {
+        [south, (south + north) / 2, north].forEach(latitude => {
+          box.expandByPoint(TiledModel.cartographicToECEF(longitude, latitude, minHeight));
+          box.expandByPoint(TiledModel.cartographicToECEF(longitude, latitude, maxHeight));
+        });
+      });
+      return box.getBoundingSphere(new THREE.Sphere());
+    }
+    return new THREE.Sphere(new THREE.Vector3(), Infinity);
+  }
+
+  /**
+   * Earth-centred, earth-fixed position of a WGS84 coordinate
+   *
+   * @param {number} longitude - Longitude in radians
+   * @param {number} latitude - Latitude in radians
+   * @param {number} height - Height above the ellipsoid in metres
+   * @returns {THREE.Vector3} ECEF position in metres
+   */
+  static cartographicToECEF(longitude, latitude, height) {
+    const sinLatitude = Math.sin(latitude);
+    const n = WGS84_RADIUS / Math.sqrt(1 - WGS84_ECCENTRICITY_SQ * sinLatitude * sinLatitude);
+    return new THREE.Vector3(
+      (n + height) * Math.cos(latitude) * Math.cos(longitude),
+      (n + height) * Math.cos(latitude) * Math.sin(longitude),
+      (n * (1 - WGS84_ECCENTRICITY_SQ) + height) * sinLatitude
+    );
+  }
+
+  /**
+   * East-north-up frame at an earth-centred position
+   *
+   * @param {THREE.Vector3} origin - ECEF position in metres
+   * @returns {THREE.Matrix4} Matrix from the local frame (x east, y north, z up) to ECEF
+   */
+  static eastNorthUpFrame(origin) {
+    const polarRadiusSq = WGS84_RADIUS * WGS84_RADIUS * (1 - WGS84_ECCENTRICITY_SQ);
+    const up = new THREE.Vector3(
+      origin.x / (WGS84_RADIUS * WGS84_RADIUS),
+      origin.y / (WGS84_RADIUS * WGS84_RADIUS),
+      origin.z / polarRadiusSq
+    ).normalize();
+    const east = new THREE.Vector3(-origin.y, origin.x, 0).normalize();
+    const north = new THREE.Vector3().crossVectors(up, east);
+    return new THREE.Matrix4().makeBasis(east, north, up).setPosition(origin);
+  }
+
+  /**
+   * Extract the GLB from a Batched 3D Model (b3dm) tile
+   *
+   * @param {ArrayBuffer} data - b3dm tile bytes
+   * @returns {{glb: ArrayBuffer, rtcCenter: number[]|null}} Embedded GLB and the
+   *   feature table's RTC_CENTER offset, if any
+   */
+  static parseB3DM(data) {
+    const view = new DataView(data);
+    const featureTableJSONLength = view.getUint32(12, true);
+    const featureTableBinaryLength = view.getUint32(16, true);
+    const batchTableJSONLength = view.getUint32(20, true);
+    const batchTableBinaryLength = view.getUint32(24, true);
+    const headerLength = 28;
+
+    let rtcCenter = null;
+    if (featureTableJSONLength > 0) {
+      const featureTable = JSON.parse(new TextDecoder().decode(new Uint8Array(data, headerLength, featureTableJSONLength)));
+      if (Array.isArray(featureTable.RTC_CENTER)) rtcCenter = featureTable.RTC_CENTER;
+    }
+    const glbStart = headerLength + featureTableJSONLength + featureTableBinaryLength + batchTableJSONLength + batchTableBinaryLength;
+    return { glb: data.slice(glbStart, view.getUint32(8, true)), rtcCenter };
+  }
+}
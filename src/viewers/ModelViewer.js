@@ -5,12 +5,49 @@ import { EventSystem } from '../utils/EventSystem.js';
 import { MeasurementSystem } from '../measurement/MeasurementSystem.js';
 import { VRComfortGlyph } from '../vr/ui/VRComfortGlyph.js';
 import { DiveSystem } from '../dive/DiveSystem.js';
+import { PointCloud } from '../models/PointCloud.js';
+import { ModelMetadata } from '../models/ModelMetadata.js';
+
+/**
+ * @typedef {Object} ModelPartConfig
+ * @property {string} url - Path to the model file
+ * @property {number[]} [position] - Position [x, y, z] in the scene's shared frame
+ * @property {number[]} [rotation] - Euler rotation in radians [x, y, z]
+ * @property {number|number[]} [scale] - Uniform scale or [x, y, z]
+ * @property {string} [version] - Model version for the persistent cache
+ * @property {string} [integrity] - Expected SHA-256 of the file ('sha256-<base64>' or hex)
+ * @property {Object} [georeference] - Grid offset and EPSG code ({ offset: [east, north, up], epsg }) overriding any in the file
+ * @property {ModelMetadataConfig} [metadata] - Descriptive fields for this part, overriding any in the file; the same fields may also be written on the part itself
+ */
+
+/**
+ * @typedef {Object} ModelMetadataConfig
+ * @property {string} [title] - Title shown above the metadata (defaults to the model's `name`)
+ * @property {string} [site] - Site name
+ * @property {string} [surveyDate] - When the survey was captured
+ * @property {number|string} [depth] - Depth of the site (a number is shown in metres)
+ * @property {string} [photographer] - Who captured the survey
+ * @property {string} [licence] - Licence name, for example 'CC BY 4.0'
+ * @property {string} [licenceUrl] - Link to the licence text
+ * @property {string} [attribution] - Required attribution text
+ * @property {string} [copyright] - Copyright notice
+ */
 
 /**
  * @typedef {Object} ModelConfig
- * @property {string} url - Path to the GLB model file
+ * @property {string} [url] - Path to the model file (GLB/glTF, PLY, OBJ, STL, LAS/LAZ, or a 3D Tiles tileset.json); not needed with `models`
+ * @property {ModelPartConfig[]} [models] - Load several models together as one composite scene (e.g. a wreck, its anchor and the seabed)
+ * @property {number[]} [position] - Position [x, y, z] for a single model
+ * @property {number[]} [rotation] - Euler rotation in radians [x, y, z] for a single model
+ * @property {number|number[]} [scale] - Uniform scale or [x, y, z] for a single model
+ * @property {boolean} [center=true] - Centre the model (or the composite's combined bounds) on the origin; false keeps the files' shared coordinate frame
+ * @property {Object} [georeference] - Grid offset and EPSG code ({ offset: [east, north, up], epsg }) for a single model; read from glTF `asset.extras` or LAS headers when omitted
  * @property {string} name - Display name for the model
- * @property {string} [credit] - Attribution text for the model
+ * @property {ModelMetadataConfig} [metadata] - Site, survey date, depth, photographer, licence and attribution; overrides the fields read from glTF `asset` and `extras`. The same fields may also be written on the model entry itself, with `metadata` winning
+ * @property {string} [credit] - Attribution text for the model, used when no `metadata.attribution` is given
+ * @property {number} [measurementScale=1] - Calibrated measurement scale factor; updated when measurements are calibrated
+ * @property {string} [version] - Model version for the persistent cache; change it to force a fresh download (defaults to the server's ETag)
+ * @property {string} [integrity] - Expected SHA-256 of the file ('sha256-<base64>' or hex); a file that does not match fails with a ModelLoadError
  * @property {Object} [initialPositions] - Camera and target positions for this model
  * @property {Object} [initialPositions.desktop] - Desktop viewing positions
  * @property {Object} [initialPositions.desktop.camera] - Camera position {x, y, z}
@@ -65,15 +102,31 @@ import { DiveSystem } from '../dive/DiveSystem.js';
  * @property {boolean} [showLoadingIndicator=true] - Show loading spinner
  * @property {boolean} [showStatus=true] - Show status messages
  * @property {boolean} [showInfo=false] - Show info panel
+ * @property {boolean} [showAttribution=true] - Show the model's attribution and licence in a corner of the viewer when the info panel is off or hidden on small screens; in VR they are shown on the loading indicator and for a few seconds after a model loads
  * @property {boolean} [enableVR=false] - Enable VR support
  * @property {boolean} [enableMeasurement=false] - Enable measurement system
  * @property {string} [measurementTheme='dark'] - Measurement panel theme ('dark' or 'light')
  * @property {boolean} [showMeasurementLabels=false] - Show measurement labels in desktop mode (always shown in VR)
+ * @property {string} [measurementMode='distance'] - Measurement mode ('distance', 'polyline', 'area', 'angle', 'bearing' or 'volume')
+ * @property {string} [measurementUnits='m'] - Measurement units ('m', 'cm', 'mm', 'ft' or 'ft-in')
+ * @property {number} [measurementPrecision] - Decimal places for measurement readouts (defaults per unit)
+ * @property {boolean} [measurementSnapping=false] - Snap measurement points to nearby vertices and feature edges
+ * @property {THREE.Matrix4|Function} [measurementModelToWorld=null] - Transform applied to GeoJSON measurement exports
+ * @property {boolean} [showMeasurementList=true] - Show the sidebar list of saved measurements
+ * @property {string|number} [measurementVolumeBase='fit'] - Base plane for volume measurements ('fit', 'lowest', 'highest' or a scene height)
  * @property {boolean} [enableVRComfortGlyph=false] - Enable VR comfort settings glyph
  * @property {boolean} [enableDiveSystem=false] - Enable underwater dive system
  * @property {boolean} [enableFullscreen=false] - Show fullscreen toggle button
  * @property {boolean} [enableVRAudio=false] - Enable VR audio system (requires audio files)
  * @property {string} [audioPath='./sound/'] - Path to VR audio files
+ * @property {string} [dracoDecoderPath] - Folder containing the Draco decoder files (defaults to the gstatic CDN)
+ * @property {string} [ktx2TranscoderPath] - Folder containing the Basis/KTX2 transcoder files (defaults to the jsDelivr CDN)
+ * @property {Object} [modelCache] - Persistent IndexedDB model cache ({ enabled, maxSize, name }; see BelowViewer)
+ * @property {Object} [memoryCache] - In-memory model cache budget ({ maxSize } in bytes; see BelowViewer)
+ * @property {Object} [pointCloud] - Point cloud display ({ size, colorMode, lazDecoder }; see BelowViewer)
+ * @property {Object} [tiles] - 3D Tiles streaming ({ maxScreenSpaceError, maxConcurrentRequests, maxMemory }; see BelowViewer)
+ * @property {boolean} [workerParsing=true] - Parse models in a Web Worker so the page and VR loading indicator stay responsive
+ * @property {Object} [download] - Download retries ({ retries, retryDelay, stallTimeout }; see BelowViewer)
  * @property {Object} [viewerConfig] - Configuration passed to BelowViewer
  * @property {SceneConfig} [viewerConfig.scene] - Scene configuration
  * @property {CameraConfig} [viewerConfig.camera] - Camera configuration
@@ -97,6 +150,7 @@ import { DiveSystem } from '../dive/DiveSystem.js';
  * 
  * @fires ModelViewer#model-loaded - Fired when a model is successfully loaded
  * @fires ModelViewer#model-load-error - Fired when model loading fails
+ * @fires ModelViewer#tiles-streamed - Fired when a 3D Tiles tileset loads or unloads tiles after the model has loaded
  * @fires ModelViewer#focus - Fired when camera focuses on a point
  * @fires ModelViewer#camera-reset - Fired when camera is reset to initial position
  * @fires ModelViewer#vr-session-start - Fired when VR session begins
@@ -170,16 +224,32 @@ export class ModelViewer extends EventSystem {
       showLoadingIndicator: { type: 'boolean', default: true },
       showStatus: { type: 'boolean', default: false },
       showInfo: { type: 'boolean', default: false },
+      showAttribution: { type: 'boolean', default: true },
       enableVR: { type: 'boolean', default: false },
       enableMeasurement: { type: 'boolean', default: true },
       measurementTheme: { type: 'string', default: 'dark' },
       showMeasurementLabels: { type: 'boolean', default: false },
+      measurementMode: { type: 'string', default: 'distance' },
+      measurementUnits: { type: 'string', default: 'm' },
+      measurementPrecision: { type: 'number', default: null },
+      measurementSnapping: { type: 'boolean', default: false },
+      measurementModelToWorld: { type: ['object', 'function'], default: null },
+      showMeasurementList: { type: 'boolean', default: true },
+      measurementVolumeBase: { type: ['string', 'number'], default: 'fit' },
       enableVRComfortGlyph: { type: 'boolean', default: false },
       enableDiveSystem: { type: 'boolean', default: true },
       showDiveToggle: { type: 'boolean', default: true },
       enableFullscreen: { type: 'boolean', default: false },
       enableVRAudio: { type: 'boolean', default: false },
       audioPath: { type: 'string', default: './sound/' },
+      dracoDecoderPath: { type: 'string', default: null },
+      ktx2TranscoderPath: { type: 'string', default: null },
+      modelCache: { type: 'object', default: null },
+      memoryCache: { type: 'object', default: null },
+      pointCloud: { type: 'object', default: null },
+      tiles: { type: 'object', default: null },
+      workerParsing: { type: 'boolean', default: true },
+      download: { type: 'object', default: null },
       viewerConfig: {
         type: 'object',
         default: {
@@ -196,6 +266,7 @@ export class ModelViewer extends EventSystem {
     this.options = this.config; // for backward compatibility if something is missed
     
     this.currentModelKey = null;
+    this.currentMetadata = null;
     this.belowViewer = null;
     this.ui = {};
     this.measurementSystem = null;
@@ -209,7 +280,9 @@ export class ModelViewer extends EventSystem {
     this.loadingMessage = '';
     this.loadingModelName = '';
     this.loadingPercentage = 0;
+    this.loadingCredit = '';
     this.vrUpdateLoop = null;
+    this.vrAttributionTimer = null;
     
     if (typeof window !== 'undefined') {
       window.modelViewer = this;
@@ -223,6 +296,14 @@ export class ModelViewer extends EventSystem {
       ...this.config.viewerConfig,
       ...(this.config.enableVR && { vr: { enabled: true } }),
       ...(this.config.audioPath && { audioPath: this.config.audioPath }),
+      ...(this.config.dracoDecoderPath && { dracoDecoderPath: this.config.dracoDecoderPath }),
+      ...(this.config.ktx2TranscoderPath && { ktx2TranscoderPath: this.config.ktx2TranscoderPath }),
+      ...(this.config.modelCache && { modelCache: this.config.modelCache }),
+      ...(this.config.memoryCache && { memoryCache: this.config.memoryCache }),
+      ...(this.config.pointCloud && { pointCloud: this.config.pointCloud }),
+      ...(this.config.tiles && { tiles: this.config.tiles }),
+      ...(typeof this.config.workerParsing !== 'undefined' && { workerParsing: this.config.workerParsing }),
+      ...(this.config.download && { download: this.config.download }),
       ...(typeof this.config.enableVRAudio !== 'undefined' && { enableVRAudio: this.config.enableVRAudio })
     };
     
@@ -268,7 +349,30 @@ export class ModelViewer extends EventSystem {
       renderer: this.belowViewer.renderer,
       controls: this.belowViewer.cameraManager.controls,
       theme: this.config.measurementTheme,
-      showMeasurementLabels: this.config.showMeasurementLabels
+      showMeasurementLabels: this.config.showMeasurementLabels,
+      mode: this.config.measurementMode,
+      units: this.config.measurementUnits,
+      precision: this.config.measurementPrecision,
+      snapping: this.config.measurementSnapping,
+      modelToWorld: this.config.measurementModelToWorld,
+      showMeasurementList: this.config.showMeasurementList,
+      volumeBase: this.config.measurementVolumeBase
+    });
+    Object.entries(this.config.models).forEach(([modelKey, modelConfig]) => {
+      if (modelConfig && modelConfig.measurementScale !== undefined) {
+        this.measurementSystem.setScaleFactor(modelConfig.measurementScale, modelKey);
+      }
+    });
+    // Persist calibration alongside the model config so it survives model switches
+    this.measurementSystem.on('measurement-scale-changed', ({ modelKey, factor }) => {
+      const modelConfig = this.config.models[modelKey];
+      if (modelConfig) {
+        modelConfig.measurementScale = factor;
+      }
+    });
+    ['measurement-added', 'measurement-removed', 'measurement-updated', 'measurement-cleared', 'measurements-imported', 'measurement-scale-changed',
+      'measurement-undo', 'measurement-redo'].forEach(eventName => {
+      this.measurementSystem.on(eventName, (data) => this.emit(eventName, data));
     });
     const update = () => this.measurementSystem && this.measurementSystem.update();
     if (this.belowViewer.onAfterRender) {
@@ -279,10 +383,7 @@ export class ModelViewer extends EventSystem {
       const loop = () => { update(); requestAnimationFrame(loop); };
       loop();
     }
-    if (this.belowViewer.loadedModels && this.belowViewer.loadedModels.length > 0) {
-      const modelRoot = this.belowViewer.loadedModels[0].model;
-      this.measurementSystem.setRaycastTargets(modelRoot);
-    }
+    this.updateMeasurementTargets();
   }
 
   async _maybeAttachVRComfortGlyph() {
@@ -457,6 +558,10 @@ export class ModelViewer extends EventSystem {
       this.emit('model-load-progress', data);
       this.updateLoadingProgress(data);
     });
+    this.belowViewer.on('tiles-streamed', (data) => {
+      this.emit('tiles-streamed', data);
+      this.onTilesStreamed(data);
+    });
     this.belowViewer.on('model-loaded', (data) => {
       this.emit('model-loaded', data);
       this.emit('modelLoaded', data);
@@ -492,6 +597,9 @@ export class ModelViewer extends EventSystem {
     if (this.ui.info) {
       this.ui.info.style.display = 'none';
     }
+    if (this.ui.attribution) {
+      this.ui.attribution.style.display = 'none';
+    }
     if (this.ui.selector) {
       this.ui.selector.style.pointerEvents = 'none';
       this.ui.selector.style.opacity = '0.5';
@@ -514,7 +622,7 @@ export class ModelViewer extends EventSystem {
             // Update VR loading sprite position if it exists and is visible
             if (this.vrLoadingSprite && 
                 this.belowViewer.sceneManager.scene.children.includes(this.vrLoadingSprite) &&
-                this.isLoading) {
+                (this.isLoading || this.vrAttributionTimer)) {
               this.positionVRLoadingSprite();
             }
             lastUpdateTime = currentTime;
@@ -528,6 +636,9 @@ export class ModelViewer extends EventSystem {
       this.vrUpdateLoop = requestAnimationFrame(updateVRElements);
     }
 
+    // The attribution corner is hidden in VR, so credit the model in the scene
+    this.showVRAttribution();
+
     if (this.measurementSystem && typeof this.measurementSystem.attachVR === 'function') {
 
       setTimeout(() => {
@@ -552,6 +663,7 @@ export class ModelViewer extends EventSystem {
     if (this.ui.info && this.config.showInfo) {
       this.ui.info.style.display = 'block';
     }
+    this.renderModelMetadata();
     if (this.ui.selector) {
       this.ui.selector.style.pointerEvents = 'auto';
       this.ui.selector.style.opacity = '1';
@@ -564,6 +676,7 @@ export class ModelViewer extends EventSystem {
     }
 
     // Hide VR loading indicator when exiting VR
+    this.clearVRAttribution();
     this.updateVRLoadingIndicator();
     
 
@@ -667,7 +780,7 @@ export class ModelViewer extends EventSystem {
       const scene = this.belowViewer.sceneManager.getScene();
       raycastTargets = [];
       scene.traverse(child => {
-        if (child.isMesh && child.geometry && !this.isMeasurementHelper(child)) {
+        if ((child.isMesh || child.userData.isPointCloud) && child.geometry && !this.isMeasurementHelper(child)) {
           raycastTargets.push(child);
         }
       });
@@ -676,6 +789,10 @@ export class ModelViewer extends EventSystem {
     if (raycastTargets.length === 0) {
       return;
     }
+    const pointThreshold = PointCloud.getRaycastThreshold(raycastTargets);
+    if (pointThreshold > 0) {
+      raycaster.params.Points.threshold = pointThreshold;
+    }
 
     const intersects = raycaster.intersectObjects(raycastTargets, true);
     
@@ -744,6 +861,10 @@ export class ModelViewer extends EventSystem {
       this.createInfoPanel();
     }
 
+    if (this.config.showAttribution && !this.ui.attribution) {
+      this.createAttribution();
+    }
+
 
     if (this.config.showLoadingIndicator && !this.ui.loading) {
       this.createLoadingIndicator();
@@ -909,9 +1030,10 @@ export class ModelViewer extends EventSystem {
 
   /**
    * Create VR loading indicator as a canvas-based sprite
-   * Similar to measurement labels, this creates a world-space UI element for VR
+   * Similar to measurement labels, this creates a world-space UI element for VR.
+   * A null percentage leaves out the spinner, for the attribution card.
    */
-  createVRLoadingIndicator(message = 'Loading...', modelName = '', percentage = 0) {
+  createVRLoadingIndicator(message = 'Loading...', modelName = '', percentage = 0, credit = '') {
     const DPR = (window.devicePixelRatio || 1) * 2;
     const logicalWidth = 512;
     const logicalHeight = 256;
@@ -941,39 +1063,42 @@ export class ModelViewer extends EventSystem {
     const spinnerRadius = 25;
     const spinnerY = centerY - 40;
     
-    // Outer circle (track) with shadow
-    context.shadowColor = 'rgba(0, 0, 0, 0.8)';
-    context.shadowBlur = 3;
-    context.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-    context.lineWidth = 3;
-    context.beginPath();
-    context.arc(centerX, spinnerY, spinnerRadius, 0, Math.PI * 2);
-    context.stroke();
-    
-    // Reset shadow for progress arc
-    context.shadowColor = 'transparent';
-    context.shadowBlur = 0;
-    
-    // Progress arc
-    if (percentage > 0) {
-      const progressAngle = (percentage / 100) * Math.PI * 2;
-      context.strokeStyle = '#ffffff';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+
+    if (percentage !== null) {
+      // Outer circle (track) with shadow
+      context.shadowColor = 'rgba(0, 0, 0, 0.8)';
+      context.shadowBlur = 3;
+      context.strokeStyle = 'rgba(255, 255, 255, 0.3)';
       context.lineWidth = 3;
       context.beginPath();
-      context.arc(centerX, spinnerY, spinnerRadius, -Math.PI / 2, -Math.PI / 2 + progressAngle);
+      context.arc(centerX, spinnerY, spinnerRadius, 0, Math.PI * 2);
       context.stroke();
-    }
+    
+      // Reset shadow for progress arc
+      context.shadowColor = 'transparent';
+      context.shadowBlur = 0;
+    
+      // Progress arc
+      if (percentage > 0) {
+        const progressAngle = (percentage / 100) * Math.PI * 2;
+        context.strokeStyle = '#ffffff';
+        context.lineWidth = 3;
+        context.beginPath();
+        context.arc(centerX, spinnerY, spinnerRadius, -Math.PI / 2, -Math.PI / 2 + progressAngle);
+        context.stroke();
+      }
 
-    // Percentage text inside spinner
-    context.fillStyle = 'white';
-    context.font = '600 16px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
-    context.textAlign = 'center';
-    context.textBaseline = 'middle';
-    context.shadowColor = 'rgba(0, 0, 0, 0.8)';
-    context.shadowBlur = 2;
-    context.shadowOffsetX = 1;
-    context.shadowOffsetY = 1;
-    context.fillText(`${Math.round(percentage)}%`, centerX, spinnerY);
+      // Percentage text inside spinner
+      context.fillStyle = 'white';
+      context.font = '600 16px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+      context.shadowColor = 'rgba(0, 0, 0, 0.8)';
+      context.shadowBlur = 2;
+      context.shadowOffsetX = 1;
+      context.shadowOffsetY = 1;
+      context.fillText(`${Math.round(percentage)}%`, centerX, spinnerY);
+    }
 
     // Main model name text
     if (modelName) {
@@ -997,6 +1122,25 @@ export class ModelViewer extends EventSystem {
     context.shadowOffsetY = 1;
     context.fillText(message, centerX, centerY + 50);
 
+    // Attribution and licence, shrunk to fit
+    if (credit) {
+      let fontSize = 16;
+      const setFont = () => {
+        context.font = `400 ${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+      };
+      setFont();
+      while (fontSize > 11 && context.measureText(credit).width > logicalWidth - 32) {
+        fontSize--;
+        setFont();
+      }
+      let text = credit;
+      while (text.length > 1 && context.measureText(text).width > logicalWidth - 32) {
+        text = text.slice(0, -2) + '\u2026';
+      }
+      context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      context.fillText(text, centerX, centerY + 90);
+    }
+
     context.restore();
 
     // Create or update texture
@@ -1046,6 +1190,12 @@ export class ModelViewer extends EventSystem {
     title.className = 'info-panel__title';
     title.textContent = 'BelowJS';
     
+    // Filled in per model by renderModelMetadata
+    const details = document.createElement('div');
+    details.id = 'infoDetails';
+    details.className = 'info-panel__details';
+    details.style.display = 'none';
+
     const controls = document.createElement('div');
     controls.id = 'infoControls';
     controls.className = 'info-panel__controls';
@@ -1055,10 +1205,159 @@ export class ModelViewer extends EventSystem {
     `;
     
     info.appendChild(title);
+    info.appendChild(details);
     info.appendChild(controls);
     this.container.appendChild(info);
 
     this.ui.info = info;
+    this.ui.infoDetails = details;
+  }
+
+  createAttribution() {
+    const attribution = document.createElement('div');
+    // With the info panel, only shown on small screens where the panel is hidden
+    attribution.className = this.config.showInfo ? 'below-attribution below-attribution--with-info' : 'below-attribution';
+    attribution.style.display = 'none';
+    this.container.appendChild(attribution);
+    this.ui.attribution = attribution;
+  }
+
+  /**
+   * Combine the metadata of the loaded models with the model's config
+   *
+   * Each field comes from the first part that has it, except attribution,
+   * which lists every part's so a composite credits all of its sources.
+   * Config fields, whether on the entry or in its `metadata`, win over
+   * the files'.
+   */
+  collectModelMetadata(modelConfig, models) {
+    const parts = (models || []).map(model => model.userData.metadata).filter(Boolean);
+    let metadata = parts.reduceRight((combined, part) => ({ ...combined, ...part }), null);
+    const attributions = [...new Set(parts.map(part => part.attribution).filter(Boolean))];
+    if (attributions.length > 1) {
+      metadata.attribution = attributions.join('; ');
+    }
+    metadata = ModelMetadata.merge(metadata, ModelMetadata.fromConfig(modelConfig));
+    if (modelConfig.credit && !(metadata && metadata.attribution)) {
+      metadata = { ...metadata, attribution: modelConfig.credit };
+    }
+    if (metadata && !metadata.title && modelConfig.name) {
+      metadata.title = modelConfig.name;
+    }
+    return metadata;
+  }
+
+  renderModelMetadata() {
+    const metadata = this.currentMetadata;
+    const entries = ModelMetadata.entries(metadata);
+
+    if (this.ui.infoDetails) {
+      const details = this.ui.infoDetails;
+      details.replaceChildren();
+      if (metadata && metadata.title) {
+        const heading = document.createElement('div');
+        heading.className = 'info-panel__model';
+        heading.textContent = metadata.title;
+        details.appendChild(heading);
+      }
+      if (entries.length > 0) {
+        const list = document.createElement('dl');
+        list.className = 'info-panel__meta';
+        entries.forEach(({ field, label, value }) => {
+          const term = document.createElement('dt');
+          term.textContent = label;
+          const description = document.createElement('dd');
+          description.appendChild(field === 'licence' ? this.createLicenceNode(metadata) : document.createTextNode(value));
+          list.append(term, description);
+        });
+        details.appendChild(list);
+      }
+      details.style.display = details.childNodes.length > 0 ? 'block' : 'none';
+    }
+
+    if (this.ui.attribution) {
+      const attribution = this.ui.attribution;
+      attribution.replaceChildren();
+      const credit = metadata && (metadata.attribution || metadata.copyright);
+      if (credit) attribution.appendChild(document.createTextNode(credit));
+      if (metadata && metadata.licence) {
+        if (credit) attribution.appendChild(document.createTextNode(' · '));
+        attribution.appendChild(this.createLicenceNode(metadata));
+      }
+      const inVR = this.belowViewer && this.belowViewer.isVRPresenting();
+      attribution.style.display = attribution.childNodes.length > 0 && !inVR ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Attribution (or copyright) and licence as one line of plain text
+   */
+  creditText(metadata) {
+    if (!metadata) return '';
+    return [metadata.attribution || metadata.copyright, metadata.licence].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Credit the current model in VR, where the attribution corner is hidden
+   *
+   * Shows the model's title, attribution and licence on the loading sprite
+   * for a few seconds after a model loads in VR or a session starts.
+   */
+  showVRAttribution() {
+    const credit = this.creditText(this.currentMetadata);
+    if (!credit || this.isLoading || !this.config.showAttribution || !this.belowViewer?.isVRPresenting()) return;
+    const title = (this.currentMetadata && this.currentMetadata.title) || '';
+    this.createVRLoadingIndicator('', title, null, credit);
+    this.showVRLoadingSprite();
+    clearTimeout(this.vrAttributionTimer);
+    this.vrAttributionTimer = setTimeout(() => {
+      this.vrAttributionTimer = null;
+      this.updateVRLoadingIndicator();
+    }, 6000);
+  }
+
+  clearVRAttribution() {
+    if (this.vrAttributionTimer) {
+      clearTimeout(this.vrAttributionTimer);
+      this.vrAttributionTimer = null;
+    }
+  }
+
+  createLicenceNode({ licence, licenceUrl }) {
+    // Only web links: metadata comes from the model file
+    if (!licenceUrl || !/^https?:\/\//i.test(licenceUrl)) {
+      return document.createTextNode(licence);
+    }
+    const link = document.createElement('a');
+    link.href = licenceUrl;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = licence;
+    return link;
+  }
+
+  /**
+   * Get the current model's metadata
+   *
+   * Combines the fields read from the model files (glTF `asset.copyright`,
+   * `asset.extras` and scene extras) with the model's `metadata` and
+   * `credit` config. This is what the info panel and attribution show.
+   *
+   * @method getModelMetadata
+   * @returns {Object|null} Metadata with `title`, `site`, `surveyDate`, `depth`,
+   *   `photographer`, `licence`, `licenceUrl`, `attribution` and `copyright`
+   *   where known, or null if no model is loaded or it has none
+   *
+   * @example
+   * viewer.on('model-switched', () => {
+   *   const metadata = viewer.getModelMetadata();
+   *   if (metadata) console.log(metadata.site, metadata.licence);
+   * });
+   *
+   * @since 1.1.0
+   */
+  getModelMetadata() {
+    return this.currentMetadata ? { ...this.currentMetadata } : null;
   }
   
   populateDropdown() {
@@ -1109,7 +1408,10 @@ export class ModelViewer extends EventSystem {
       this.ui.dropdown.value = modelKey;
     }
 
+    this.loadingCredit = this.creditText(this.collectModelMetadata(modelConfig, []));
     this.showLoading('Preparing to load...', modelConfig.name || modelKey);
+    this.currentMetadata = null;
+    this.renderModelMetadata();
 
     document.title = `BelowJS – ${modelConfig.name || modelKey}`;
     try {
@@ -1118,6 +1420,8 @@ export class ModelViewer extends EventSystem {
         this.measurementSystem.clearUnifiedMeasurement();
         this.measurementSystem.clearLegacyVRMeasurement();
         this.measurementSystem.clearLegacyDesktopMeasurement();
+        // Stash saved measurements for the outgoing model before it is disposed
+        this.measurementSystem.setActiveModel(null, null);
       }
 
       this.belowViewer.clearModels();
@@ -1133,25 +1437,47 @@ export class ModelViewer extends EventSystem {
 
       await new Promise(resolve => setTimeout(resolve, 50));
 
-      const model = await this.belowViewer.loadModel(modelConfig.url, {
-        autoFrame: false,  // We'll handle positioning manually
-        initialPositions: modelConfig.initialPositions  // Pass VR/desktop positions
-      });
+      let model;
+      let models;
+      if (Array.isArray(modelConfig.models)) {
+        models = await this.belowViewer.loadModels(modelConfig.models, {
+          center: modelConfig.center !== false,
+          autoFrame: false
+        });
+        model = models ? models[0] : null;
+      } else {
+        model = await this.belowViewer.loadModel(modelConfig.url, {
+          autoFrame: false,  // We'll handle positioning manually
+          initialPositions: modelConfig.initialPositions,  // Pass VR/desktop positions
+          version: modelConfig.version,
+          integrity: modelConfig.integrity,
+          position: modelConfig.position,
+          rotation: modelConfig.rotation,
+          scale: modelConfig.scale,
+          center: modelConfig.center,
+          georeference: modelConfig.georeference,
+          metadata: ModelMetadata.fromConfig(modelConfig)
+        });
+        models = model ? [model] : null;
+      }
       if (model) {
 
         this.applyInitialPositions(modelConfig, model);
 
+        this.currentMetadata = this.collectModelMetadata(modelConfig, models);
+        this.renderModelMetadata();
+
         this.hideLoading();
+        this.showVRAttribution();
         this.updateStatus(`Loaded: ${modelConfig.name || modelKey}`);
 
-        if (this.measurementSystem) {
-          this.measurementSystem.setRaycastTargets(model);
-        }
+        this.updateMeasurementTargets();
         
 
         this.modelReady = true;
-        this.emit('model-switched', { modelKey, model, config: modelConfig });
-        this.emit('modelLoaded', { modelKey, model, config: modelConfig });
+        const metadata = this.getModelMetadata();
+        this.emit('model-switched', { modelKey, model, models, config: modelConfig, metadata });
+        this.emit('modelLoaded', { modelKey, model, models, config: modelConfig, metadata });
       }
     } catch (error) {
       if (error.message !== 'Loading cancelled') {
@@ -1217,6 +1543,7 @@ export class ModelViewer extends EventSystem {
   showLoading(message = 'Loading...', modelName = null) {
     // Store loading state for VR
     this.isLoading = true;
+    this.clearVRAttribution();
     this.loadingMessage = message;
     this.loadingModelName = modelName || '';
     this.loadingPercentage = 0;
@@ -1272,7 +1599,7 @@ export class ModelViewer extends EventSystem {
     
     if (this.isLoading && inVR) {
       // Always recreate the VR loading indicator to ensure fresh state
-      this.createVRLoadingIndicator(this.loadingMessage, this.loadingModelName, this.loadingPercentage);
+      this.createVRLoadingIndicator(this.loadingMessage, this.loadingModelName, this.loadingPercentage, this.loadingCredit);
       this.showVRLoadingSprite();
     } else if (this.vrLoadingSprite && this.belowViewer?.sceneManager) {
       // Hide VR loading indicator if not loading or not in VR
@@ -1286,6 +1613,7 @@ export class ModelViewer extends EventSystem {
     this.loadingMessage = '';
     this.loadingModelName = '';
     this.loadingPercentage = 0;
+    this.loadingCredit = '';
     
     // Hide desktop loading indicator
     if (this.ui.loading) {
@@ -1339,13 +1667,16 @@ export class ModelViewer extends EventSystem {
     }
   }
   
-  updateLoadingProgress({ progress }) {
+  updateLoadingProgress({ progress, part }) {
     if (progress.lengthComputable && this.currentModelKey) {
-      const percent = Math.min(100, Math.round((progress.loaded / progress.total) * 100));
+      // Composite scenes load model by model; show progress across all of them
+      const { index, count } = part || { index: 0, count: 1 };
+      const percent = Math.min(100, Math.round(((index + progress.loaded / progress.total) / count) * 100));
+      const message = count > 1 ? `Loading model ${index + 1} of ${count}` : 'Loading model';
       
       // Update loading state
       this.loadingPercentage = percent;
-      this.loadingMessage = 'Loading model';
+      this.loadingMessage = message;
       
       // Update desktop loading indicator
       if (this.ui.loading) {
@@ -1357,7 +1688,7 @@ export class ModelViewer extends EventSystem {
           percentageElement.textContent = `${percent}%`;
         }
         if (statusElement) {
-          statusElement.textContent = 'Loading model';
+          statusElement.textContent = message;
         }
         if (spinnerPath) {
           // Update the circular progress
@@ -1372,11 +1703,25 @@ export class ModelViewer extends EventSystem {
     }
   }
   
-  onModelLoaded({ model }) {
-    if (this.measurementSystem) {
-      this.measurementSystem.setRaycastTargets(model);
+  onTilesStreamed({ model, added, removed }) {
+    if (this.measurementSystem && this.belowViewer.loadedModels.some(item => item.model === model)) {
+      // Newly streamed tiles become measurable, unloaded ones stop being targets
+      this.measurementSystem.removeRaycastTargets(removed);
+      this.measurementSystem.addRaycastTargets(added);
     }
   }
+
+  onModelLoaded() {
+    this.updateMeasurementTargets();
+  }
+
+  updateMeasurementTargets() {
+    const models = this.belowViewer.loadedModels.map(item => item.model);
+    if (!this.measurementSystem || models.length === 0) return;
+    this.measurementSystem.setRaycastTargets(models);
+    // Composite scenes share one frame, so saved measurements follow the first model
+    this.measurementSystem.setActiveModel(models[0], this.currentModelKey);
+  }
   
   onModelLoadError({ error }) {
     this.hideLoading();
@@ -1550,6 +1895,25 @@ export class ModelViewer extends EventSystem {
     }
     return null;
   }
+
+  /**
+   * Clear cached model downloads, including the persistent cache when enabled
+   *
+   * @async
+   * @method clearCache
+   * @returns {Promise<void>} Resolves once the caches are empty
+   *
+   * @example
+   * // Free storage on a field tablet
+   * await viewer.clearCache();
+   *
+   * @since 1.1.0
+   */
+  async clearCache() {
+    if (this.belowViewer) {
+      await this.belowViewer.clearCache();
+    }
+  }
   
   /**
    * Clean up and dispose of all resources
@@ -1578,6 +1942,7 @@ export class ModelViewer extends EventSystem {
       domElement.removeEventListener('click', this.focusEventHandlers.onMouseClick);
       this.focusEventHandlers = null;
     }
+    this.clearVRAttribution();
     if (this.measurementSystem) {
       this.measurementSystem.dispose();
       this.measurementSystem = null;
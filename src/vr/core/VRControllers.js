@@ -237,6 +237,19 @@ export class VRControllers {
             this.buttonStates.set(buttonKey, isPressed);
           }
         });
+
+        // Thumbstick presses are announced on the controller object for
+        // features (such as measurement undo/redo) that listen to it
+        const thumbstick = gamepad.buttons[3];
+        if (thumbstick) {
+          const thumbstickKey = `${handedness}-thumbstick`;
+          const wasPressed = this.buttonStates.get(thumbstickKey) || false;
+          const controller = handedness === 'left' ? this.controller1 : this.controller2;
+          if (thumbstick.pressed && !wasPressed && controller) {
+            controller.dispatchEvent({ type: 'thumbstickdown', handedness });
+          }
+          this.buttonStates.set(thumbstickKey, thumbstick.pressed);
+        }
       }
     }
   }
@@ -1,5 +1,7 @@
 import { defineConfig } from 'vite';
 import { exec } from 'child_process';
+import { cpSync } from 'fs';
+import { resolve } from 'path';
 
 const autoBuildPlugin = () => {
   let isBuilding = false;
@@ -38,10 +40,28 @@ const autoBuildPlugin = () => {
   };
 };
 
+// Ship the Draco decoder and Basis transcoder with the build so viewers can
+// run without internet access (see the dracoDecoderPath/ktx2TranscoderPath options)
+const copyDecodersPlugin = () => ({
+  name: 'copy-decoders',
+  apply: 'build',
+  closeBundle() {
+    const libs = resolve('node_modules/three/examples/jsm/libs');
+    cpSync(resolve(libs, 'draco/gltf'), resolve('dist/decoders/draco'), {
+      recursive: true,
+      filter: source => !source.includes('encoder')
+    });
+    cpSync(resolve(libs, 'basis'), resolve('dist/decoders/basis'), {
+      recursive: true,
+      filter: source => !source.endsWith('.md')
+    });
+  }
+});
+
 export default defineConfig({
   root: '.',  // Serve from project root instead of examples/basic
   publicDir: 'public',
-  plugins: [autoBuildPlugin()],
+  plugins: [autoBuildPlugin(), copyDecodersPlugin()],
   server: {
     port: 5173,
     open: 'examples/basic/',  // Open the basic example by default
@@ -60,6 +80,9 @@ export default defineConfig({
       'belowjs': '/dist/belowjs.js'
     }
   },
+  // Relative asset URLs, so the model parsing worker is found next to
+  // belowjs.js wherever dist/ is served from
+  base: './',
   build: {
     outDir: 'dist',
     cssCodeSplit: false, // Bundle all CSS into one file